@@ -16,8 +16,13 @@ import StartUpForm from './StartUpForm';
 import PlayerContainer from './PlayerContainer';
 import TableContainer from './TableContainer';
 import MessageBox from './MessageBox';
-import GF from '../gameLogic/gameFunctions';
-import Player from '../gameLogic/Player';
+import HandReplay from './HandReplay';
+import GF from '../../../engine/gameFunctions';
+import { Player } from '../../../engine/Player';
+import { toPlainState } from '../../../engine/reducer';
+
+// how long each street of an all-in run-out stays on the table before the next one is dealt
+const RUN_OUT_DELAY = 1500;
 
 class App extends React.Component {
   constructor(props) {
@@ -34,17 +39,35 @@ class App extends React.Component {
       buyIn: 0,
       smallBlind: 0,
       bigBlind: 0,
+      gameType: 'holdem',
+      ante: 0,
+      bigBlindAnte: false,
+      bettingStructure: 'no-limit',
+      raiseCap: 3,
+      straddleEnabled: false,
+      handNumber: 0,
+      handCommitment: null,
+      revealedHands: [],
+      handLog: null,
+      handHistories: [],
       dealer: 0,
+      smallBlindSeat: -1,
+      bigBlindSeat: -1,
+      straddleSeat: -1,
+      straddleOffered: false,
       turn: 0,
       pot: 0,
-      // 0 = pre-flop, 1 = flop, 2 = turn, 3 = river
+      // 0 = pre-flop, 1 = flop, 2 = turn, 3 = river (third to seventh street in stud)
       actionRoundState: 0,
       board: ['', '', '', '', ''],
-      deckArray: [],
+      boards: [],
+      runCount: 1,
+      runItOffered: false,
+      allInRunOut: false,
       deckColor: '',
       minRaise: 0,
       previousBet: 0,
-      allowCheck: false,
+      raiseCount: 0,
       message: '',
     };
 
@@ -52,9 +75,18 @@ class App extends React.Component {
     this.registerBuyIn = this.registerBuyIn.bind(this);
     this.registerSmallBlind = this.registerSmallBlind.bind(this);
     this.registerBigBlind = this.registerBigBlind.bind(this);
+    this.registerGameType = this.registerGameType.bind(this);
+    this.registerAnte = this.registerAnte.bind(this);
+    this.registerBigBlindAnte = this.registerBigBlindAnte.bind(this);
+    this.registerBettingStructure = this.registerBettingStructure.bind(this);
+    this.registerRaiseCap = this.registerRaiseCap.bind(this);
+    this.registerStraddleEnabled = this.registerStraddleEnabled.bind(this);
     this.startGame = this.startGame.bind(this);
     this.endGame = this.endGame.bind(this);
     this.handlePlayerAction = this.handlePlayerAction.bind(this);
+    this.runOutBoard = this.runOutBoard.bind(this);
+    this.sendAction = this.sendAction.bind(this);
+    this.updateState = this.updateState.bind(this);
     // this.handleRaise = this.handleRaise.bind(this);
   }
 
@@ -68,9 +100,13 @@ class App extends React.Component {
       .then((res) => {
         // set gameunderway state depending on database
         if (res.data.gameUnderway) {
-          // add player methods to player objects
-          const PG = this.convertData(res.data);
+          const PG = res.data;
           this.setState(PG);
+
+          // pick an interrupted all-in run-out back up
+          if (PG.allInRunOut) {
+            setTimeout(this.runOutBoard, RUN_OUT_DELAY);
+          }
         } else {
           this.setState({
             gameUnderway: false,
@@ -84,136 +120,39 @@ class App extends React.Component {
 
   // --- PLAYER INTERFACE & GAME FLOW FUNCTIONS ---
 
+  // the server takes the action with the game engine, since only it knows the deck, and returns
+  // the game after it
   handlePlayerAction(action) {
-    const PG = this.state;
-    // eslint-disable-next-line default-case
-    switch (action[0]) {
-      case 'call':
-        PG.playerObjectArray[PG.turn].call(PG);
-        break;
-      case 'raise':
-        PG.playerObjectArray[PG.turn].raise(action[1], PG);
-        break;
-      case 'fold':
-        PG.playerObjectArray[PG.turn].fold();
-        break;
-      case 'check':
-        PG.playerObjectArray[PG.turn].check();
-        break;
-    }
-
-    GF.incrementTurn(PG);
-    // function to find the next player that is still in the game
-    GF.findNextPlayer(PG);
+    this.sendAction(action);
+  }
 
-    // in the spirit of modularity, this function will pass the modified PG on to the next handler,
-    // which will in turn update the state
-    this.handleGameFlow(PG);
+  // once nobody can bet anymore, every hand is turned face up and the remaining streets
+  // are dealt one at a time so that everyone can follow along, ending in a showdown
+  runOutBoard() {
+    this.sendAction(['runOut']);
   }
 
-  // this function handles the dealer rounds, action rounds, and showdown
-  handleGameFlow(PG) {
+  // has the server take the action and shows the game after it. During an all-in run-out,
+  // the next street is dealt after a short delay
+  sendAction(action) {
     const { gameId } = this.props;
-
-    // handle the pre-flop
-    if (PG.actionRoundState === 0) {
-      // pre-flop, the big blind (and the small blind if it's equal to big blind)
-      // have the option to check if all other players called or folded.
-      let preflopCounter = 0;
-
-      // toggles the check state for the small blind if it's equal to the big blind
-      if (PG.playerObjectArray[PG.turn].actionState === 'SB' && PG.smallBlind === PG.bigBlind) {
-        // count active raises on board; if the SB & BB are the only ones, they can check
-        for (let i = 0; i < PG.playerObjectArray.length; i += 1) {
-          if (PG.playerObjectArray[i].actionState !== 'raise') {
-            preflopCounter += 1;
-          }
-        }
-
-        if (preflopCounter === PG.playerObjectArray.length) {
-          PG.allowCheck = true;
-        }
-      }
-
-      // toggles the check state for the big blind - unless the BB is equal to the SB, in which case
-      // it has already been toggled.
-
-      // edge case: big blind re-raised and all other players called. Hmmm
-      // TODO(anyone): Not sure if this is a TODO still or not? ^^
-      if (PG.playerObjectArray[PG.turn].actionState === 'BB' && PG.smallBlind !== PG.bigBlind) {
-        // count active raises on board; if the BB's is the only one, they can check
-        for (let i = 0; i < PG.playerObjectArray.length; i += 1) {
-          if (PG.playerObjectArray[i].actionState !== 'raise') {
-            preflopCounter += 1;
-          }
-        }
-        if (preflopCounter === PG.playerObjectArray.length) {
-          PG.allowCheck = true;
+    axios.post(`/api/gamestate/${gameId}/action`, { action })
+      .then((res) => {
+        const PG = res.data.state;
+        this.setState(PG);
+        if (PG.allInRunOut) {
+          setTimeout(this.runOutBoard, RUN_OUT_DELAY);
         }
-      }
-
-      // check if dealer round is done. comes before action round
-      // because of edge case where one player checks and all others fold.
-      if (GF.checkDealerRoundEndingCondition(PG)) {
-        // will set everything through the blinds up for next round
-        GF.refreshDealerRound(PG);
-        PG.actionRoundState = 0;
-      }
-
-      // check if action round is done
-      if (GF.checkActionRoundEndingCondition(PG)) {
-        // if so, add 3 cards to the board
-        GF.flop(PG);
-        // remaining code that is the same between each action round
-        GF.refreshActionRound(PG);
-        PG.actionRoundState += 1;
-      }
-    }
-
-    // handle the flop and turn (same functionality for each)
-    if (PG.actionRoundState === 1 || PG.actionRoundState === 2) {
-      if (GF.checkDealerRoundEndingCondition(PG)) {
-        GF.refreshDealerRound(PG);
-        PG.actionRoundState = 0;
-      }
-
-      if (GF.checkActionRoundEndingCondition(PG)) {
-        GF.addToBoard(PG); // turn & river
-        GF.refreshActionRound(PG);
-        PG.actionRoundState += 1;
-      }
-    }
-
-    // handle the river
-    if (PG.actionRoundState === 3) {
-      if (GF.checkDealerRoundEndingCondition(PG)) {
-        GF.refreshDealerRound(PG);
-        PG.actionRoundState = 0;
-        return;
-      }
-
-      // the difference on the river is the opportunity for a showdown
-      if (GF.checkActionRoundEndingCondition(PG)) {
-        // set the winning hand rank and its player index
-        const winHandRank = GF.showdown(PG);
-
-        // give the player the pot and reset it to 0
-        PG.playerObjectArray[winHandRank.playerIndex].stack += PG.pot;
-        PG.pot = 0;
-
-        // state the winner and how they won
-        PG.message = `Player ${PG.playerObjectArray[winHandRank.playerIndex].ID}`;
-        PG.message += ` won with a ${GF.rankToHandStr(winHandRank[0])}`;
-
-        // reset the dealer round
-        GF.refreshDealerRound(PG);
-        PG.actionRoundState = 0;
-      }
-    }
+      })
+      .catch((err) => {
+        console.log(err);
+      });
+  }
 
-    // update the state in the database and do the same
-    // in the app upon successful write
-    axios.post(`/api/gamestate/${gameId}`, PG)
+  // update the state in the database and do the same in the app upon successful write
+  updateState(PG) {
+    const { gameId } = this.props;
+    return axios.post(`/api/gamestate/${gameId}`, PG)
       .then(() => {
         this.setState(PG);
       })
@@ -226,8 +165,9 @@ class App extends React.Component {
 
   registerNumPlayers(numPlayers) {
     const playerObjectArray = [];
+    // players are kept as plain objects, and the engine gives them their methods when needed
     for (let i = 1; i <= Number(numPlayers); i += 1) {
-      playerObjectArray.push(new Player(i));
+      playerObjectArray.push(toPlainState(new Player(i)));
     }
     this.setState({
       numPlayers: Number(numPlayers),
@@ -242,15 +182,10 @@ class App extends React.Component {
     buyIn = GF.convertToCents(Number(buyIn));
 
     // assign the buy in to each player
-    const { playerObjectArray } = this.state;
-    playerObjectArray.forEach((player) => {
-      player.stack = buyIn;
-    });
-
-    this.setState({
-      playerObjectArray,
+    this.setState((state) => ({
+      playerObjectArray: state.playerObjectArray.map((player) => ({ ...player, stack: buyIn })),
       buyIn,
-    });
+    }));
   }
 
   registerSmallBlind(smallBlind) {
@@ -265,31 +200,59 @@ class App extends React.Component {
     });
   }
 
-  // --- START & STOP GAME FUNCTIONS ---
+  // Omaha is usually played pot-limit and stud fixed-limit,
+  // so those become the default betting structures for them.
+  // Stud has no big blind to pay the ante for everyone or to straddle
+  registerGameType(gameType) {
+    const defaultBettingStructures = { omaha: 'pot-limit', stud: 'fixed-limit' };
+    this.setState((state) => ({
+      gameType,
+      bettingStructure: defaultBettingStructures[gameType] || 'no-limit',
+      bigBlindAnte: gameType !== 'stud' && state.bigBlindAnte,
+      straddleEnabled: gameType !== 'stud' && state.straddleEnabled,
+    }));
+  }
 
-  startGame() {
-    const { gameId } = this.props;
-    const PG = this.state;
+  registerAnte(ante) {
+    this.setState({
+      ante: GF.convertToCents(Number(ante)),
+    });
+  }
 
-    // pick random player to begin as the first dealer
-    PG.dealer = Math.floor(Math.random() * PG.playerObjectArray.length);
-    PG.gameUnderway = true;
+  registerBigBlindAnte(bigBlindAnte) {
+    this.setState({
+      bigBlindAnte,
+    });
+  }
 
-    // pick a color for the game
-    PG.deckColor = Math.floor(Math.random() * 2) ? 'Blue' : 'Red';
+  registerBettingStructure(bettingStructure) {
+    this.setState({
+      bettingStructure,
+    });
+  }
 
-    // start the dealer round
-    GF.refreshDealerRound(PG);
+  registerRaiseCap(raiseCap) {
+    this.setState({
+      raiseCap: Number(raiseCap),
+    });
+  }
 
-    // update the state in the database and do the same
-    // in the app upon successful write
-    axios.post(`/api/gamestate/${gameId}`, PG)
-      .then(() => {
-        this.setState(PG);
-      })
-      .catch((err) => {
-        console.log(err);
-      });
+  registerStraddleEnabled(straddleEnabled) {
+    this.setState({
+      straddleEnabled,
+    });
+  }
+
+  // --- START & STOP GAME FUNCTIONS ---
+
+  startGame() {
+    // pick a color for the game
+    const deckColor = Math.floor(Math.random() * 2) ? 'Blue' : 'Red';
+
+    // save the game as it was set up, then have the server pick the first dealer and deal
+    // the first dealer round
+    this.updateState({ ...this.state, deckColor })
+      .then(() => this.sendAction(['start']));
   }
 
   endGame() {
@@ -302,16 +265,34 @@ class App extends React.Component {
       buyIn: 0,
       smallBlind: 0,
       bigBlind: 0,
+      gameType: 'holdem',
+      ante: 0,
+      bigBlindAnte: false,
+      bettingStructure: 'no-limit',
+      raiseCap: 3,
+      straddleEnabled: false,
+      handNumber: 0,
+      handCommitment: null,
+      revealedHands: [],
+      handLog: null,
+      handHistories: [],
       dealer: 0,
+      smallBlindSeat: -1,
+      bigBlindSeat: -1,
+      straddleSeat: -1,
+      straddleOffered: false,
       turn: 0,
       pot: 0,
       actionRoundState: 0,
       board: ['', '', '', '', ''],
-      deckArray: [],
+      boards: [],
+      runCount: 1,
+      runItOffered: false,
+      allInRunOut: false,
       deckColor: '',
       minRaise: 0,
       previousBet: 0,
-      allowCheck: false,
+      raiseCount: 0,
       message: '',
     };
 
@@ -324,26 +305,11 @@ class App extends React.Component {
       });
   }
 
-  // --- HELPER FUNCTIONs ---
-
-  convertData(PG) {
-    // iterate through all players
-    // create new player instances so that they have the player methods
-    // overwrite player properties with the data in the database
-    for (let i = 0; i < PG.playerObjectArray.length; i += 1) {
-      const source = PG.playerObjectArray[i];
-      const target = new Player(i + 1);
-      Object.assign(target, source);
-      PG.playerObjectArray[i] = target;
-    }
-
-    return PG;
-  }
-
   // --- RENDER VIEW FUNCTIONS ---
 
   renderGameView() {
     const PG = this.state;
+    const { gameId } = this.props;
 
     return (
       <div>
@@ -352,7 +318,8 @@ class App extends React.Component {
           PG={PG}
           handlePlayerAction={this.handlePlayerAction}
         />
-        <MessageBox message={PG.message} endGame={this.endGame} />
+        <MessageBox message={PG.message} endGame={this.endGame} gameId={gameId} />
+        <HandReplay hands={PG.handHistories || []} deckColor={PG.deckColor} />
       </div>
     );
   }
@@ -363,6 +330,12 @@ class App extends React.Component {
       buyIn,
       smallBlind,
       bigBlind,
+      gameType,
+      ante,
+      bigBlindAnte,
+      bettingStructure,
+      raiseCap,
+      straddleEnabled,
     } = this.state;
 
     return (
@@ -373,12 +346,25 @@ class App extends React.Component {
           registerBuyIn={this.registerBuyIn}
           registerSmallBlind={this.registerSmallBlind}
           registerBigBlind={this.registerBigBlind}
+          registerGameType={this.registerGameType}
+          registerAnte={this.registerAnte}
+          registerBigBlindAnte={this.registerBigBlindAnte}
+          registerBettingStructure={this.registerBettingStructure}
+          registerRaiseCap={this.registerRaiseCap}
+          registerStraddleEnabled={this.registerStraddleEnabled}
           startGame={this.startGame}
           numPlayers={numPlayers}
           buyIn={buyIn}
           smallBlind={smallBlind}
           bigBlind={bigBlind}
+          gameType={gameType}
+          ante={ante}
+          bigBlindAnte={bigBlindAnte}
+          bettingStructure={bettingStructure}
+          raiseCap={raiseCap}
+          straddleEnabled={straddleEnabled}
         />
+        <HandReplay hands={[]} deckColor="" />
       </div>
     );
   }
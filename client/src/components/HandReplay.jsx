@@ -0,0 +1,181 @@
+/* eslint-disable no-alert */
+import React from 'react';
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+import Board from './table/Board';
+import Pot from './table/Pot';
+import Player from './players/Player';
+import GF from '../../../engine/gameFunctions';
+import { parseHandHistories } from '../../../engine/handHistory';
+import { replayHand } from '../../../engine/replay';
+
+const Container = styled.div`
+  width: 100vw;
+  margin-top: 30px;
+  text-align: center;
+`;
+
+const Row = styled.div`
+  display: flex;
+  justify-content: space-around;
+  padding-left: 15px;
+  padding-right: 15px;
+  box-sizing: border-box;
+`;
+
+const Button = styled.button`
+  background-color: darkgreen;
+  color: white;
+  font-size: 16px;
+  font-weight: 500;
+  margin: 5px;
+  height: 40px;
+  border-radius: 15px;
+`;
+
+const Line = styled.h3`
+  text-align: center;
+`;
+
+// nobody acts in a replay
+const ignoreAction = () => {};
+
+// steps through a hand action by action, with every hand face up. The hands are the ones
+// played in this game, or the ones in a hand history file the user imports
+class HandReplay extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      open: false,
+      importedHands: null,
+      handIndex: 0,
+      step: 0,
+    };
+
+    this.importHands = this.importHands.bind(this);
+  }
+
+  getHands() {
+    const { hands } = this.props;
+    const { importedHands } = this.state;
+    return importedHands || hands;
+  }
+
+  importHands(e) {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      let importedHands;
+      try {
+        importedHands = parseHandHistories(reader.result);
+      } catch (err) {
+        alert(err.message);
+        return;
+      }
+      if (importedHands.length === 0) {
+        alert('There are no PokerStars hand histories in that file');
+        return;
+      }
+      this.setState({
+        open: true,
+        importedHands,
+        handIndex: 0,
+        step: 0,
+      });
+    };
+    reader.readAsText(file);
+  }
+
+  // moves to another hand, starting from its first step
+  showHand(handIndex) {
+    this.setState({
+      handIndex,
+      step: 0,
+    });
+  }
+
+  renderControls(handIndex, step, lastHand, lastStep) {
+    const controls = [
+      ['Previous hand', handIndex === 0, () => this.showHand(handIndex - 1)],
+      ['Back', step === 0, () => this.setState({ step: step - 1 })],
+      ['Forward', step === lastStep, () => this.setState({ step: step + 1 })],
+      ['Next hand', handIndex === lastHand, () => this.showHand(handIndex + 1)],
+      ['Close', false, () => this.setState({ open: false })],
+    ];
+    return (
+      <div>
+        {controls.map(([label, disabled, onClick]) => (
+          <Button key={label} type="button" disabled={disabled} onClick={onClick}>
+            {label}
+          </Button>
+        ))}
+      </div>
+    );
+  }
+
+  render() {
+    const { deckColor } = this.props;
+    const { open, handIndex, step } = this.state;
+    const hands = this.getHands();
+
+    const importView = (
+      <label htmlFor="hand-history-file">
+        Import a hand history:
+        <span> </span>
+        <input id="hand-history-file" type="file" accept=".txt" onChange={this.importHands} />
+      </label>
+    );
+    if (!open) {
+      return (
+        <Container>
+          <Button
+            type="button"
+            disabled={hands.length === 0}
+            onClick={() => this.setState({ open: true })}
+          >
+            Replay hands
+          </Button>
+          {importView}
+        </Container>
+      );
+    }
+
+    const tables = replayHand(hands[handIndex], deckColor || 'Red');
+    const table = tables[step];
+    return (
+      <Container>
+        <Line>{`Hand #${hands[handIndex].handNumber}: step ${step + 1} of ${tables.length}`}</Line>
+        {this.renderControls(handIndex, step, hands.length - 1, tables.length - 1)}
+        <Row>
+          <div>
+            <Board PG={table} />
+            <Pot pot={table.pot} pots={GF.calculatePots(table)} />
+          </div>
+        </Row>
+        <Row>
+          {table.playerObjectArray.map((player) => (
+            <Player
+              key={player.ID}
+              player={player}
+              PG={table}
+              handlePlayerAction={ignoreAction}
+            />
+          ))}
+        </Row>
+        {table.message.split('\n').map((line) => <Line key={line}>{line}</Line>)}
+        {importView}
+      </Container>
+    );
+  }
+}
+
+HandReplay.propTypes = {
+  hands: PropTypes.arrayOf(PropTypes.shape(/* fill me in */)).isRequired,
+  deckColor: PropTypes.string.isRequired,
+};
+
+export default HandReplay;
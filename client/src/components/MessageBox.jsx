@@ -2,6 +2,7 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import styled from 'styled-components';
 import EndGame from './table/EndGame';
+import DownloadHistory from './table/DownloadHistory';
 
 const Container = styled.div`
   height: 100px;
@@ -15,13 +16,14 @@ const Line = styled.h2`
 `;
 
 const MessageBox = (props) => {
-  const { message, endGame } = props;
+  const { message, endGame, gameId } = props;
   const lines = message.split('\n');
   return (
     <Container>
       {lines.map((line) => <Line key={line}>{line}</Line>)}
       <Line>
         <EndGame endGame={endGame} />
+        <DownloadHistory gameId={gameId} />
       </Line>
     </Container>
   );
@@ -30,6 +32,7 @@ const MessageBox = (props) => {
 MessageBox.propTypes = {
   message: PropTypes.string.isRequired,
   endGame: PropTypes.func.isRequired,
+  gameId: PropTypes.number.isRequired,
 };
 
 export default MessageBox;
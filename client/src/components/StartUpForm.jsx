@@ -5,7 +5,7 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import styled from 'styled-components';
-import GF from '../gameLogic/gameFunctions';
+import GF from '../../../engine/gameFunctions';
 
 const Input = styled.span`
   color: blue;
@@ -45,6 +45,7 @@ class StartUpForm extends React.Component {
       buyIn: '',
       smallBlind: '',
       bigBlind: '',
+      ante: '',
     };
 
     this.handleInputChange = this.handleInputChange.bind(this);
@@ -90,6 +91,20 @@ class StartUpForm extends React.Component {
     return true;
   }
 
+  validateAnte(input) {
+    const { bigBlind } = this.props;
+    if (bigBlind === 0) {
+      alert('Please enter the blinds first');
+      return false;
+    }
+    const ante = GF.convertToCents(Number(input));
+    if (Number.isNaN(ante) || !Number.isInteger(ante) || ante < 0 || ante > bigBlind) {
+      alert('Please enter a valid input\n(make sure your ante is at max the big blind)');
+      return false;
+    }
+    return true;
+  }
+
   validateAll() {
     const {
       numPlayers,
@@ -116,12 +131,14 @@ class StartUpForm extends React.Component {
       buyIn,
       smallBlind,
       bigBlind,
+      ante,
     } = this.props;
     const inputs = {
       numPlayers,
       buyIn: GF.convertToDollars(buyIn),
       smallBlind: GF.convertToDollars(smallBlind),
       bigBlind: GF.convertToDollars(bigBlind),
+      ante: GF.convertToDollars(ante),
     };
 
     // show nothing if field is not initialized yet; otherwise show their choice
@@ -133,13 +150,119 @@ class StartUpForm extends React.Component {
     );
   }
 
+  renderAnteInput() {
+    const { registerAnte } = this.props;
+    const { ante } = this.state;
+    return (
+      <div>
+        <h4>
+          Ante:
+          <span> </span>
+          {this.renderInput('ante')}
+        </h4>
+        <form onSubmit={(e) => {
+          if (!this.validateAnte(ante)) {
+            e.preventDefault();
+            return;
+          }
+          registerAnte(ante);
+          this.clearForm('ante');
+          e.preventDefault();
+        }}
+        >
+          <input name="ante" value={ante} onChange={this.handleInputChange} />
+          <button
+            type="button"
+            onClick={() => {
+              if (!this.validateAnte(ante)) {
+                return;
+              }
+              registerAnte(ante);
+              this.clearForm('ante');
+            }}
+          >
+            Enter
+          </button>
+          <div>The ante is optional. It goes in the pot, but doesn&apos;t count toward calling a bet.</div>
+        </form>
+      </div>
+    );
+  }
+
+  // stud has no big blind to pay the ante for everyone
+  renderBigBlindAnteInput() {
+    const { gameType, bigBlindAnte, registerBigBlindAnte } = this.props;
+    if (gameType === 'stud') {
+      return null;
+    }
+    return (
+      <div>
+        <h4>Who pays the ante:</h4>
+        <select
+          name="bigBlindAnte"
+          value={bigBlindAnte ? 'big-blind' : 'everyone'}
+          onChange={(e) => registerBigBlindAnte(e.target.value === 'big-blind')}
+        >
+          <option value="everyone">Everyone</option>
+          <option value="big-blind">The big blind, for everyone</option>
+        </select>
+      </div>
+    );
+  }
+
+  // stud has no blinds to straddle
+  renderStraddleInput() {
+    const { gameType, straddleEnabled, registerStraddleEnabled } = this.props;
+    if (gameType === 'stud') {
+      return null;
+    }
+    return (
+      <div>
+        <h4>Straddles:</h4>
+        <select
+          name="straddleEnabled"
+          value={straddleEnabled ? 'on' : 'off'}
+          onChange={(e) => registerStraddleEnabled(e.target.value === 'on')}
+        >
+          <option value="off">Off</option>
+          <option value="on">On</option>
+        </select>
+        <div>With straddles on, the player after the big blind can put in twice the big blind before the cards are dealt and act last pre-flop.</div>
+      </div>
+    );
+  }
+
+  // only fixed-limit caps the number of raises in each round
+  renderRaiseCapInput() {
+    const { bettingStructure, raiseCap, registerRaiseCap } = this.props;
+    if (bettingStructure !== 'fixed-limit') {
+      return null;
+    }
+    return (
+      <div>
+        <h4>Raises allowed after the bet in each round:</h4>
+        <select
+          name="raiseCap"
+          value={raiseCap}
+          onChange={(e) => registerRaiseCap(e.target.value)}
+        >
+          {[1, 2, 3, 4, 5].map((cap) => <option key={cap} value={cap}>{cap}</option>)}
+        </select>
+      </div>
+    );
+  }
+
   render() {
     const {
       registerNumPlayers,
       registerBuyIn,
       registerSmallBlind,
       registerBigBlind,
+      registerGameType,
+      registerBettingStructure,
       startGame,
+      gameType,
+      bettingStructure,
     } = this.props;
 
     const {
@@ -269,6 +392,36 @@ class StartUpForm extends React.Component {
             Enter
           </button>
         </form>
+        <h4>Game:</h4>
+        <select
+          name="gameType"
+          value={gameType}
+          onChange={(e) => registerGameType(e.target.value)}
+        >
+          <option value="holdem">Texas Hold&apos;em</option>
+          <option value="short-deck">Short-deck Hold&apos;em</option>
+          <option value="omaha">Omaha</option>
+          <option value="stud">Seven-Card Stud</option>
+        </select>
+        <div>Short-deck takes out the 2s through 5s: A-6-7-8-9 is the lowest straight, and a flush beats a full house.</div>
+        <div>In Omaha, everyone gets four cards and must use exactly two of them with three from the board.</div>
+        <div>In Seven-Card Stud, there&apos;s no board. The lowest up card brings it in for the small blind, and the best hand showing acts first on later streets.</div>
+        {this.renderAnteInput()}
+        {this.renderBigBlindAnteInput()}
+        <h4>Betting structure:</h4>
+        <select
+          name="bettingStructure"
+          value={bettingStructure}
+          onChange={(e) => registerBettingStructure(e.target.value)}
+        >
+          <option value="no-limit">No-limit</option>
+          <option value="pot-limit">Pot-limit</option>
+          <option value="fixed-limit">Fixed-limit</option>
+        </select>
+        <div>In pot-limit, no bet can be bigger than the pot after calling.</div>
+        <div>In fixed-limit, bets are the big blind pre-flop and on the flop, and twice that on the turn and river (from fifth street in stud).</div>
+        {this.renderRaiseCapInput()}
+        {this.renderStraddleInput()}
         <div>Game Rules:</div>
         <div>Blinds and bets can be in increments of cents, but be sure to input them as decimals.</div>
         <div>The small blind will be the smallest chip size, so the big blind and all bets must be multiples of that.</div>
@@ -293,11 +446,23 @@ StartUpForm.propTypes = {
   registerBuyIn: PropTypes.func.isRequired,
   registerSmallBlind: PropTypes.func.isRequired,
   registerBigBlind: PropTypes.func.isRequired,
+  registerGameType: PropTypes.func.isRequired,
+  registerAnte: PropTypes.func.isRequired,
+  registerBigBlindAnte: PropTypes.func.isRequired,
+  registerBettingStructure: PropTypes.func.isRequired,
+  registerRaiseCap: PropTypes.func.isRequired,
+  registerStraddleEnabled: PropTypes.func.isRequired,
   startGame: PropTypes.func.isRequired,
   numPlayers: PropTypes.number.isRequired,
   buyIn: PropTypes.number.isRequired,
   smallBlind: PropTypes.number.isRequired,
   bigBlind: PropTypes.number.isRequired,
+  gameType: PropTypes.string.isRequired,
+  ante: PropTypes.number.isRequired,
+  bigBlindAnte: PropTypes.bool.isRequired,
+  bettingStructure: PropTypes.string.isRequired,
+  raiseCap: PropTypes.number.isRequired,
+  straddleEnabled: PropTypes.bool.isRequired,
 };
 
 export default StartUpForm;
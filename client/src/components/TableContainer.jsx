@@ -3,6 +3,7 @@ import PropTypes from 'prop-types';
 import styled from 'styled-components';
 import Board from './table/Board';
 import Pot from './table/Pot';
+import GF from '../../../engine/gameFunctions';
 
 const Container = styled.div`
   display: flex;
@@ -20,7 +21,7 @@ const TableContainer = (props) => {
     <Container>
       <div>
         <Board PG={PG} />
-        <Pot pot={PG.pot} />
+        <Pot pot={PG.pot} pots={GF.calculatePots(PG)} />
       </div>
     </Container>
   );
@@ -4,19 +4,22 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import styled from 'styled-components';
 import PlayerActions from './PlayerActions';
-import GF from '../../gameLogic/gameFunctions';
+import GF from '../../../../engine/gameFunctions';
 
+// stud seats have an extra row for the up cards
 const Container = styled.div`
   width: 144px;
-  height: 300px;
+  height: ${(props) => (props.stud ? '402px' : '300px')};
 `;
 
 const CardBox = styled.div`
   display: flex;
 `;
 
+// four Omaha hole cards (or three stud down cards and four up cards) overlap
+// so that the hand still fits the seat
 const CardContainer = styled.div`
-  width: 72px;
+  width: ${(props) => (props.overlap ? '24px' : '72px')};
   padding: 1px;
   height: 100px;
 `;
@@ -35,39 +38,91 @@ const Player = (props) => {
     handlePlayerAction,
   } = props;
 
-  // 3 card view options: player is out of the game,
-  // player is in but not their turn, or it's player's turn
+  // one card container per card, showing the image returned for that card if any
+  const renderCards = (cards, getImageSrc) => (
+    <CardBox>
+      {cards.map((card, i) => (
+        // dealt cards never change places, so their position is a stable key
+        // eslint-disable-next-line react/no-array-index-key
+        <CardContainer key={i} overlap={cards.length > 2}>
+          {getImageSrc && <img alt="" className="card" src={getImageSrc(card)} />}
+        </CardContainer>
+      ))}
+    </CardBox>
+  );
+  const faceUpSrc = (card) => `lib/cards/${GF.beautifyCard(card)}.svg`;
+
+  // 7 card view options: a hand replay shows every hand face up, folded or not,
+  // player is out of the game, every hand is face up for an all-in run-out, the cards
+  // wait on the straddle, the hands are tabled while the players agree on how many times
+  // to run the board, player is in but not their turn, or it's player's turn
   let cardView;
   let minBetView = <Text />;
   let playerActionView = <PlayerActions empty />;
-  if (!player.inGame) {
-    cardView = (
-      <CardBox>
-        <CardContainer />
-        <CardContainer />
-      </CardBox>
-    );
+  if (PG.replaying) {
+    cardView = renderCards(player.cards, faceUpSrc);
+  } else if (!player.inGame) {
+    cardView = renderCards(player.cards, null);
+  } else if (PG.allInRunOut) {
+    // nobody can act during the run-out, so there's no min bet or actions to show
+    cardView = renderCards(player.cards, faceUpSrc);
+  } else if (PG.straddleOffered) {
+    // nothing is dealt until the player after the big blind has decided on the straddle
+    cardView = renderCards(player.cards, null);
+    if (player.ID === PG.turn + 1) {
+      minBetView = (
+        <Text>
+          Straddle: $
+          {GF.convertToDollars(2 * PG.bigBlind)}
+        </Text>
+      );
+      playerActionView = (
+        <PlayerActions
+          empty={false}
+          PG={PG}
+          handlePlayerAction={handlePlayerAction}
+        />
+      );
+    }
+  } else if (PG.runItOffered) {
+    // everyone is all-in, so the hands are face up while the players decide
+    cardView = renderCards(player.cards, faceUpSrc);
+    if (player.ID === PG.turn + 1) {
+      minBetView = (
+        <Text>
+          Run it up to
+          <span> </span>
+          {PG.runCount}
+          x
+        </Text>
+      );
+      playerActionView = (
+        <PlayerActions
+          empty={false}
+          PG={PG}
+          handlePlayerAction={handlePlayerAction}
+        />
+      );
+    }
   } else if (player.ID === PG.turn + 1 && player.cards[0].length !== 0) {
     // the && above is a janky way of handling game initialization
-    cardView = (
-      <CardBox>
-        <CardContainer>
-          <img alt="" className="card" src={`lib/cards/${GF.beautifyCard(player.cards[0])}.svg`} />
-        </CardContainer>
-        <CardContainer>
-          <img alt="" className="card" src={`lib/cards/${GF.beautifyCard(player.cards[1])}.svg`} />
-        </CardContainer>
-      </CardBox>
-    );
+    cardView = renderCards(player.cards, faceUpSrc);
 
     // TO-DO: refactor min bet to be part of the message box
-    // min bet is equal to the previous bet plus the min raise
-    minBetView = (
-      <Text>
-        Min bet: $
-        {GF.convertToDollars(PG.previousBet + PG.minRaise)}
-      </Text>
-    );
+    // the smallest bet the player can make, and in fixed-limit the only one
+    const raise = GF.getLegalActions(PG).find((legalAction) => legalAction.type === 'raise');
+    if (!raise) {
+      // after a short all-in raise the betting isn't reopened for this player,
+      // and in fixed-limit it closes once the raise cap is reached
+      minBetView = <Text>Call or fold only</Text>;
+    } else {
+      minBetView = (
+        <Text>
+          {PG.bettingStructure === 'fixed-limit' ? 'Bet: $' : 'Min bet: $'}
+          {GF.convertToDollars(raise.minRaiseTo)}
+        </Text>
+      );
+    }
 
     playerActionView = (
       <PlayerActions
@@ -77,16 +132,15 @@ const Player = (props) => {
       />
     );
   } else {
-    cardView = (
-      <CardBox>
-        <CardContainer>
-          <img alt="" className="card" src={`lib/cards/${PG.deckColor}_Back.svg`} />
-        </CardContainer>
-        <CardContainer>
-          <img alt="" className="card" src={`lib/cards/${PG.deckColor}_Back.svg`} />
-        </CardContainer>
-      </CardBox>
-    );
+    cardView = renderCards(player.cards, () => `lib/cards/${PG.deckColor}_Back.svg`);
+  }
+
+  // stud up cards are face up for everyone to see for as long as the player is in the hand,
+  // and for the whole hand in a replay
+  const isStud = PG.gameType === 'stud';
+  let upCardView = null;
+  if (isStud) {
+    upCardView = renderCards(player.upCards, player.inGame || PG.replaying ? faceUpSrc : null);
   }
 
   const potCommitmentView = (player.potCommitment === 0) ? <Text /> : (
@@ -97,17 +151,16 @@ const Player = (props) => {
   );
 
   return (
-    <Container>
+    <Container stud={isStud}>
       <Text>
-        Player
-        <span> </span>
-        {player.ID}
+        {player.name || `Player ${player.ID}`}
       </Text>
       <Text>
         $
         {GF.convertToDollars(player.stack)}
       </Text>
       {cardView}
+      {upCardView}
       <Text>
         {player.actionState}
       </Text>
@@ -2,11 +2,11 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import styled from 'styled-components';
-import GF from '../../gameLogic/gameFunctions';
+import GF from '../../../../engine/gameFunctions';
 
 const Container = styled.div`
   width: 144px;
-  height: 90px;
+  min-height: 90px;
 `;
 
 const Row = styled.div`
@@ -20,6 +20,16 @@ const Button = styled.button`
   width: 60px;
 `;
 
+// up to three run buttons share a row
+const RunButton = styled.button`
+  height: 25px;
+  width: 44px;
+`;
+
+const MaxBet = styled.span`
+  line-height: 25px;
+`;
+
 const Input = styled.input`
   width: 120px;
   height: 24px;
@@ -35,6 +45,8 @@ class PlayerActions extends React.Component {
     };
 
     this.handleInputChange = this.handleInputChange.bind(this);
+    this.betPot = this.betPot.bind(this);
+    this.addClientSeed = this.addClientSeed.bind(this);
   }
 
   handleInputChange(e) {
@@ -43,115 +55,123 @@ class PlayerActions extends React.Component {
     });
   }
 
-  // validate that player action is allowed, and return an object for use in App
-  // to update the state
-  // eslint-disable-next-line class-methods-use-this
-  validatePlayerAction(input) {
+  // the action of the given type the engine allows the player to take, or undefined
+  findLegalAction(type) {
     const { PG } = this.props;
+    return GF.getLegalActions(PG).find((legalAction) => legalAction.type === type);
+  }
+
+  // fills the bet input with the biggest bet the pot allows
+  betPot() {
+    this.setState({
+      value: String(GF.convertToDollars(this.findLegalAction('raise').maxRaiseTo)),
+    });
+  }
+
+  // mixes a seed of the player's own into the shuffle from the next hand on
+  addClientSeed() {
+    const { handlePlayerAction } = this.props;
+    const clientSeed = prompt('Enter anything you like to mix into the shuffle of the next hands:');
+    if (clientSeed) {
+      handlePlayerAction(['clientSeed', clientSeed]);
+    }
+  }
+
+  // the game engine validates the action, turning it into one the App can hand back to it
+  // to update the state. Bets are entered in dollars, so they're converted to cents first
+  submitPlayerAction(actionType) {
+    const { PG, handlePlayerAction } = this.props;
     const { value } = this.state;
-    const actionInput = input.slice(0, 4);
-    let numericInput = value;
-
-    // this multi-block if statement both validates the input
-    // and returns call, check, or fold if it's one of those.
-    // if it's a raise, it goes on to the next section to validate the amount
-    if (actionInput === 'call') {
-      // validate that there is a raise on the board to be called.
-      // Second part is to allow the SB to call when it is not equal to the big blind
-
-      let raiseCounter = 0;
-      for (let i = 0; i < PG.playerObjectArray.length; i += 1) {
-        // this allows the small blind to call big blind as well
-        if (PG.playerObjectArray[i].actionState === 'raise' || (PG.playerObjectArray[i].actionState === 'SB')) {
-          raiseCounter += 1;
-        }
-      }
-
-      // exception for situation where small blind is equal to big blind; SB cannot call there
-      // eslint-disable-next-line no-mixed-operators
-      if (raiseCounter === 0 || PG.playerObjectArray[PG.turn].actionState === 'SB' && PG.smallBlind === PG.bigBlind) {
-        alert('You cannot call here.');
-
-        // TO-DO: NOT SURE HOW THESE RETURNS WILL PLAY OUT
-        return { valid: false };
-      }
-      return {
-        valid: true,
-        playerAction: ['call', ''],
-      };
-    } if (actionInput === 'fold') {
-      return {
-        valid: true,
-        playerAction: ['fold', ''],
-      };
-    } if (actionInput === 'chec') {
-      // validate that player is allowed to check
-      if (PG.allowCheck === false) {
-        alert('You cannot check here.');
-        return { valid: false };
-      }
-      return {
-        valid: true,
-        playerAction: ['check', ''],
-      };
-    } if (actionInput !== 'bet ') {
-      return { valid: false };
+    const action = [actionType, actionType === 'raise' ? GF.convertToCents(parseFloat(value)) : ''];
+    const inputAction = GF.validatePlayerAction(PG, action);
+    if (!inputAction.valid) {
+      alert(inputAction.error);
+      return;
     }
+    handlePlayerAction(inputAction.playerAction);
+  }
 
-    // second input: verify that the raise is an increment of the small blind,
-    // equal or above the minimum raise, and less than or equal to the player's stack.
-    // exception is made if player bets stack; then bet gets through regardless of the min raise.
-    numericInput = GF.convertToCents(parseFloat(numericInput));
-    if (numericInput === PG.playerObjectArray[PG.turn].stack) {
-      return {
-        valid: true,
-        playerAction: ['raise', numericInput],
-      };
+  renderPotLimitRow() {
+    const { PG } = this.props;
+    const raise = this.findLegalAction('raise');
+    if (PG.bettingStructure !== 'pot-limit' || !raise) {
+      return null;
     }
-    if (numericInput % PG.smallBlind !== 0
-      || numericInput < PG.previousBet + PG.minRaise
-      || numericInput > PG.playerObjectArray[PG.turn].stack
-      + PG.playerObjectArray[PG.turn].potCommitment) {
-      alert('You can\'t raise that amount.');
-      return { valid: false };
+    return (
+      <Row>
+        <Button type="button" onClick={this.betPot}>
+          Pot
+        </Button>
+        <MaxBet>{`Max $${GF.convertToDollars(raise.maxRaiseTo)}`}</MaxBet>
+      </Row>
+    );
+  }
+
+  // fixed-limit bets have a set size, so a single button replaces the bet amount input
+  renderBetInput() {
+    const { PG } = this.props;
+    const { value } = this.state;
+    if (PG.bettingStructure === 'fixed-limit' || !this.findLegalAction('raise')) {
+      return null;
     }
-    return {
-      valid: true,
-      playerAction: ['raise', numericInput],
-    };
+    return (
+      <Row>
+        <Input placeholder="Bet amount..." value={value} onChange={this.handleInputChange} />
+      </Row>
+    );
   }
 
   render() {
-    const { empty, handlePlayerAction } = this.props;
+    const { PG, empty, handlePlayerAction } = this.props;
 
     if (empty) {
       return <Container />;
     }
 
+    // before the cards are dealt, the player after the big blind only decides on the straddle
+    if (PG.straddleOffered) {
+      return (
+        <Container>
+          <Row>
+            <Button type="button" onClick={() => handlePlayerAction(['straddle', true])}>
+              Straddle
+            </Button>
+            <Button type="button" onClick={() => handlePlayerAction(['straddle', false])}>
+              Skip
+            </Button>
+          </Row>
+        </Container>
+      );
+    }
+
+    // before an all-in run-out, the players only say how many times to run the board
+    if (PG.runItOffered) {
+      const runLabels = ['Once', 'Twice', '3 times'];
+      return (
+        <Container>
+          <Row>
+            {runLabels.slice(0, PG.runCount).map((label, i) => (
+              <RunButton key={label} type="button" onClick={() => handlePlayerAction(['runs', i + 1])}>
+                {label}
+              </RunButton>
+            ))}
+          </Row>
+        </Container>
+      );
+    }
+
+    // only the actions the engine allows can be clicked
+    const call = this.findLegalAction('call');
     return (
       <Container>
         <Row>
-          <Button
-            type="button"
-            onClick={() => {
-              const inputAction = this.validatePlayerAction('fold');
-              if (!inputAction.valid) {
-                return;
-              }
-              handlePlayerAction(inputAction.playerAction);
-            }}
-          >
+          <Button type="button" onClick={() => this.submitPlayerAction('fold')}>
             Fold
           </Button>
           <Button
             type="button"
-            onClick={() => {
-              const inputAction = this.validatePlayerAction('check');
-              if (!inputAction.valid) {
-                return;
-              }
-              handlePlayerAction(inputAction.playerAction);
-            }}
+            disabled={!this.findLegalAction('check')}
+            onClick={() => this.submitPlayerAction('check')}
           >
             Check
           </Button>
@@ -159,31 +179,26 @@ class PlayerActions extends React.Component {
         <Row>
           <Button
             type="button"
-            onClick={() => {
-              const inputAction = this.validatePlayerAction('call');
-              if (!inputAction.valid) {
-                return;
-              }
-              handlePlayerAction(inputAction.playerAction);
-            }}
+            disabled={!call}
+            title={call ? `$${GF.convertToDollars(call.amount)} to call` : ''}
+            onClick={() => this.submitPlayerAction('call')}
           >
             Call
           </Button>
           <Button
             type="button"
-            onClick={() => {
-              const inputAction = this.validatePlayerAction('bet ');
-              if (!inputAction.valid) {
-                return;
-              }
-              handlePlayerAction(inputAction.playerAction);
-            }}
+            disabled={!this.findLegalAction('raise')}
+            onClick={() => this.submitPlayerAction('raise')}
           >
-            Bet
+            {PG.bettingStructure === 'fixed-limit' ? 'Bet/Raise' : 'Bet'}
           </Button>
         </Row>
+        {this.renderBetInput()}
+        {this.renderPotLimitRow()}
         <Row>
-          <Input placeholder="Bet amount..." onChange={this.handleInputChange} />
+          <Button type="button" onClick={this.addClientSeed}>
+            Seed
+          </Button>
         </Row>
       </Container>
     );
@@ -1,7 +1,7 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import styled from 'styled-components';
-import GF from '../../gameLogic/gameFunctions';
+import GF from '../../../../engine/gameFunctions';
 
 const Deck = styled.div`
   height: 100px;
@@ -25,6 +25,9 @@ const CardContainer = styled.div`
 
 const Board = (props) => {
   const { PG } = props;
+
+  // a board that's run more than once is shown as one row per run
+  const boards = PG.boards.length > 0 ? PG.boards : [PG.board];
   return (
     <div>
       <Deck>
@@ -32,18 +35,22 @@ const Board = (props) => {
           <img alt="" className="card" src={`lib/cards/${PG.deckColor}_Back.svg`} />
         </CardContainer>
       </Deck>
-      <BoardContainer>
-        {PG.board.map((card) => {
-          if (card === '') {
-            return null;
-          }
-          return (
-            <CardContainer key={card}>
-              <img alt="" className="card" src={`lib/cards/${GF.beautifyCard(card)}.svg`} />
-            </CardContainer>
-          );
-        })}
-      </BoardContainer>
+      {boards.map((board, run) => (
+        // runs never change places, so their position is a stable key
+        // eslint-disable-next-line react/no-array-index-key
+        <BoardContainer key={run}>
+          {board.map((card) => {
+            if (card === '') {
+              return null;
+            }
+            return (
+              <CardContainer key={card}>
+                <img alt="" className="card" src={`lib/cards/${GF.beautifyCard(card)}.svg`} />
+              </CardContainer>
+            );
+          })}
+        </BoardContainer>
+      ))}
     </div>
   );
 };
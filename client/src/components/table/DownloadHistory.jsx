@@ -0,0 +1,29 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+
+const Link = styled.a`
+  display: inline-block;
+  margin-left: 10px;
+  padding: 10px 15px;
+  background-color: darkgreen;
+  color: white;
+  font-size: 16px;
+  font-weight: 500;
+  text-decoration: none;
+  border-radius: 15px;
+`;
+
+// the hands played so far, as a hand history file that hand trackers can import
+const DownloadHistory = (props) => {
+  const { gameId } = props;
+  return (
+    <Link href={`/api/gamestate/${gameId}/history`} download>Download hand history</Link>
+  );
+};
+
+DownloadHistory.propTypes = {
+  gameId: PropTypes.number.isRequired,
+};
+
+export default DownloadHistory;
@@ -1,7 +1,7 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import styled from 'styled-components';
-import GF from '../../gameLogic/gameFunctions';
+import GF from '../../../../engine/gameFunctions';
 
 const OuterContainer = styled.div`
   margin-top: 30px;
@@ -11,7 +11,7 @@ const OuterContainer = styled.div`
   display: flex;
   justify-content: center;
   width: 360px;
-  height: 150px;
+  min-height: 150px;
 `;
 
 const PotContainer = styled.h3`
@@ -24,12 +24,21 @@ const Text = styled.h4`
 `;
 
 const Pot = (props) => {
-  const { pot } = props;
+  const { pot, pots } = props;
+
+  // only break the pot down once there are side pots
+  const breakdownView = (pots.length > 1) ? pots.map((sidePot, i) => (
+    <Text key={GF.potName(i)}>
+      {`${GF.potName(i)}: $${GF.convertToDollars(sidePot.amount)}`}
+    </Text>
+  )) : null;
+
   return (
     <OuterContainer>
       <div>
         <PotContainer>{`$${GF.convertToDollars(pot)}`}</PotContainer>
         <Text>Pot</Text>
+        {breakdownView}
       </div>
     </OuterContainer>
   );
@@ -37,6 +46,10 @@ const Pot = (props) => {
 
 Pot.propTypes = {
   pot: PropTypes.number.isRequired,
+  pots: PropTypes.arrayOf(PropTypes.shape({
+    amount: PropTypes.number,
+    eligible: PropTypes.arrayOf(PropTypes.number),
+  })).isRequired,
 };
 
 export default Pot;
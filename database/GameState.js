@@ -9,16 +9,38 @@ const gameStateSchema = new mongoose.Schema({
   buyIn: Number,
   smallBlind: Number,
   bigBlind: Number,
+  gameType: String,
+  ante: Number,
+  bigBlindAnte: Boolean,
+  bettingStructure: String,
+  raiseCap: Number,
+  straddleEnabled: Boolean,
+  seed: String,
+  handNumber: Number,
+  serverSeed: String,
+  nextServerSeed: Object,
+  handCommitment: Object,
+  revealedHands: Array,
+  handLog: Object,
+  handHistories: Array,
   dealer: Number,
+  smallBlindSeat: Number,
+  bigBlindSeat: Number,
+  straddleSeat: Number,
+  straddleOffered: Boolean,
   turn: Number,
   pot: Number,
   actionRoundState: Number,
   board: Array,
+  boards: Array,
+  runCount: Number,
+  runItOffered: Boolean,
+  allInRunOut: Boolean,
   deckArray: Array,
   deckColor: String,
   minRaise: Number,
   previousBet: Number,
-  allowCheck: Boolean,
+  raiseCount: Number,
   message: String,
 });
 
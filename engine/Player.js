@@ -0,0 +1,141 @@
+/* eslint-disable no-param-reassign */
+class Player {
+  constructor(ID) {
+    this.ID = ID;
+    this.stack = 0;
+    this.cards = [[], []];
+    // stud only: the cards dealt face up for everyone to see. cards holds the ones dealt face down
+    this.upCards = [];
+    this.actionState = '';
+    this.potCommitment = 0;
+    // everything committed over the whole dealer round, used to build the side pots
+    this.totalCommitment = 0;
+    // the part of totalCommitment that was antes, which are dead money rather than bets
+    this.anteCommitment = 0;
+    // all-in players stay in the game but are skipped when it's time to act
+    this.allIn = false;
+    // whether the player has acted since the last full raise in this action round. Blinds and
+    // other forced bets don't count, which is what gives the big blind the option. Only a full
+    // raise by someone else clears it, so after a short all-in raise, players that already acted
+    // have to call or fold but can't raise again
+    this.hasActed = false;
+    this.inGame = true;
+    this.showdownRank = [];
+    // mixed into the shuffle along with the server seed, so the player knows the deck isn't
+    // just up to the server
+    this.clientSeed = '';
+  }
+
+  // the raise function is the only one of the four actions that depends
+  // on a numerical input from the user, hence it is the only one that takes an argument
+  raise(inputBet, PG) {
+    // in fixed-limit, a bet or raise is always exactly one bet unit on top of the previous bet
+    const bet = PG.bettingStructure === 'fixed-limit'
+      ? Math.min(inputBet, PG.previousBet + PG.minRaise) : inputBet;
+
+    // an all-in for no more than the previous bet is just an all-in call
+    if (bet <= PG.previousBet) {
+      this.call(PG);
+      return;
+    }
+
+    // since user inputs total bet, the raise amount is
+    // the difference between the bet and player's pot commitment
+    const raiseAmount = bet - this.potCommitment;
+
+    const newStack = this.stack - raiseAmount;
+    if (newStack < 0) {
+      throw new Error(`Player ${this.ID} cannot bet ${bet} because their stack would go negative.`);
+    }
+
+    // update stack and increase pot
+    this.stack = newStack;
+    PG.pot += raiseAmount;
+    this.allIn = this.stack === 0;
+
+    this.actionState = 'raise';
+    this.hasActed = true;
+
+    // if the amount bet is at least the previous bet plus the minimum raise, it's a full raise:
+    // update the minimum raise and reopen the betting for everyone else. this should always
+    // occur unless the player raises all-in without having enough to reach the minimum raise,
+    // in which case players that already acted can only call or fold
+    if (bet >= PG.previousBet + PG.minRaise) {
+      // completing a stud bring-in is a full raise,
+      // but the next raise still has to be at least a full bet
+      PG.minRaise = Math.max(bet - PG.previousBet, PG.bigBlind);
+      PG.raiseCount += 1;
+      PG.playerObjectArray.forEach((player) => {
+        if (player !== this) {
+          player.hasActed = false;
+        }
+      });
+    }
+
+    this.potCommitment += raiseAmount;
+    this.totalCommitment += raiseAmount;
+
+    // previous bet is updated. see bottom notes for edge case 2: second scenario assumed
+    PG.previousBet = this.potCommitment;
+  }
+
+  // posts a blind or any other forced bet. A player that can't cover it
+  // posts whatever they have left and is all-in
+  postForcedBet(amount, PG) {
+    const postAmount = Math.min(amount, this.stack);
+    this.stack -= postAmount;
+    PG.pot += postAmount;
+    this.potCommitment += postAmount;
+    this.totalCommitment += postAmount;
+    this.allIn = this.stack === 0;
+  }
+
+  // antes go into the pot without being live bets, so they only count toward the side pots
+  postAnte(amount, PG) {
+    const postAmount = Math.min(amount, this.stack);
+    this.stack -= postAmount;
+    PG.pot += postAmount;
+    this.totalCommitment += postAmount;
+    this.anteCommitment += postAmount;
+    this.allIn = this.stack === 0;
+  }
+
+  call(PG) {
+    this.actionState = 'call';
+    this.hasActed = true;
+
+    // the amount that a call moves from stack to pot is equal to the previous bet
+    // minus how much the player has already committed to the pot
+    let callAmount = PG.previousBet - this.potCommitment;
+
+    // if callAmount called bet is larger than stack, toggles an all-in call.
+    if (callAmount > this.stack) {
+      callAmount = this.stack;
+    }
+
+    // decrease stack, increase pot and increase pot commitment
+    this.stack -= callAmount;
+    PG.pot += callAmount;
+    this.allIn = this.stack === 0;
+    this.potCommitment += callAmount;
+    this.totalCommitment += callAmount;
+  }
+
+  check() {
+    this.actionState = 'check';
+    this.hasActed = true;
+  }
+
+  // need code to take player out of the game in a fold.
+  fold() {
+    this.actionState = 'fold';
+    this.hasActed = true;
+    this.inGame = false;
+    // set this equal to 0 so it doesn't display on the game output
+    this.potCommitment = 0;
+  }
+}
+
+module.exports = {
+  Player,
+};
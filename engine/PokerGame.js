@@ -0,0 +1,78 @@
+class PokerGame {
+  constructor() {
+    // CONSTANT GLOBAL VARIABLES --- they'll remain the same for the entire game once initialized
+    this.playerObjectArray = [];
+    this.buyIn = -1;
+    this.smallBlind = -1;
+    this.bigBlind = -1;
+    // 'holdem', 'short-deck' (Hold'em without the 2s through 5s), 'omaha', which deals
+    // four hole cards, or 'stud' (Seven-Card Stud), where the small blind is the bring-in
+    // and the big blind the small bet
+    this.gameType = 'holdem';
+    // posted by every player each dealer round on top of the blinds, or before the bring-in in stud
+    this.ante = 0;
+    // blind games only: the big blind pays the ante for the whole table instead
+    this.bigBlindAnte = false;
+    // 'no-limit', 'pot-limit' or 'fixed-limit'
+    this.bettingStructure = 'no-limit';
+    // fixed-limit only: how many raises are allowed after the bet in each action round
+    this.raiseCap = 3;
+    // blind games only: whether the player after the big blind is offered a straddle
+    // every dealer round
+    this.straddleEnabled = false;
+
+    // GLOBAL VARIABLES --- vars such as dealer & turn that iterate
+    // through arrays are based on array metrics (0-7)
+    this.CLFstate = 0;
+    // when set, every shuffle comes out the same each time the game is played with this seed,
+    // so that hands can be reproduced in tests and replays. Never set it for money games
+    this.seed = null;
+    // counts the dealer rounds dealt so far, starting with 1
+    this.handNumber = 0;
+    // provably fair dealing: the secret server seed of the hand being played, the next hand's, and
+    // what was published about the hand when it was dealt. Every hand that's over is revealed,
+    // server seed included, to revealedHands
+    this.serverSeed = '';
+    this.nextServerSeed = null;
+    this.handCommitment = null;
+    this.revealedHands = [];
+    // the log of the hand being played, and the logs of every hand that's over
+    this.handLog = null;
+    this.handHistories = [];
+    this.dealer = 0;
+    // seats posting the blinds, which follow the dead button rule;
+    // -1 until the first blinds are posted
+    this.smallBlindSeat = -1;
+    this.bigBlindSeat = -1;
+    // seat that straddled this dealer round, or -1. While straddleOffered is true, the player
+    // whose turn it is still has to decide on the straddle and no cards have been dealt
+    this.straddleSeat = -1;
+    this.straddleOffered = false;
+    this.turn = 0;
+    this.pot = 0;
+    // 0 = pre-flop, 1 = flop, 2 = turn, 3 = river (third to seventh street in stud)
+    this.actionRoundState = 0;
+    this.board = ['', '', '', '', ''];
+    // when an all-in board is run more than once, every run's board; empty otherwise.
+    // While runItOffered is true, the player whose turn it is still has to say how many
+    // times, up to runCount, to run it
+    this.boards = [];
+    this.runCount = 1;
+    this.runItOffered = false;
+    // true once nobody can bet anymore and the rest of the board is dealt with every hand face up
+    this.allInRunOut = false;
+    this.deckArray = [];
+    this.minRaise = 0;
+    this.previousBet = 0;
+    // bets and full raises made so far in the action round, counted toward the
+    // fixed-limit raise cap
+    this.raiseCount = 0;
+    this.gameUnderway = false;
+    // what happened last, for the interface to show. Messages are added as the game goes on
+    this.message = '';
+  }
+}
+
+module.exports = {
+  PokerGame,
+};
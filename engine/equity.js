@@ -0,0 +1,184 @@
+const GF = require('./gameFunctions');
+const { evaluateHand, evaluateOmahaHand } = require('./handEvaluator');
+const { cryptoRandom, seededRandom, randomBelow } = require('./shuffle');
+
+// works out how often each of the hands wins and ties once the board is complete: exactly, over
+// every board that can still come, when there aren't too many of them, and otherwise by dealing
+// random boards (Monte Carlo)
+
+// beyond this many boards, the equity is estimated with random boards instead
+const EXACT_BOARD_LIMIT = 100000;
+const DEFAULT_ITERATIONS = 100000;
+
+// stud has no board to run out, so its equity isn't worked out here
+const GAME_TYPES = ['holdem', 'short-deck', 'omaha'];
+
+const RANKS = {
+  T: 10, J: 11, Q: 12, K: 13, A: 14,
+};
+
+// reads cards written like "AhKh", "Ah Kh" or "10h,Kh" into cards like [14, 'H']
+const parseCards = (str) => {
+  const cards = [];
+  const rest = String(str).replace(/(10|[2-9TJQKA])([SCDH])/gi, (match, num, suit) => {
+    cards.push([RANKS[num.toUpperCase()] || Number(num), suit.toUpperCase()]);
+    return '';
+  });
+  if (!/^[\s,]*$/.test(rest)) {
+    throw new Error(`"${str}" isn't a list of cards like AhKh.`);
+  }
+  return cards;
+};
+
+const countCombinations = (n, k) => {
+  let combinations = 1;
+  for (let i = 0; i < k; i += 1) {
+    combinations = (combinations * (n - i)) / (i + 1);
+  }
+  return combinations;
+};
+
+// checks that the game has a board, that every card is in the deck and known only once, and
+// that every hand and the board have the right number of cards. Throws an error saying what's
+// wrong otherwise
+const checkCards = (hands, board, dead, gameType) => {
+  if (!GAME_TYPES.includes(gameType)) {
+    throw new Error(`The game has to be one of ${GAME_TYPES.join(', ')}.`);
+  }
+  const holeCardCount = gameType === 'omaha' ? 4 : 2;
+  const deckStr = GF.deckToStr(GF.orderedDeck({ gameType }));
+  if (hands.length < 2) {
+    throw new Error('Equity needs at least two hands.');
+  }
+  hands.forEach((cards) => {
+    if (cards.length !== holeCardCount) {
+      throw new Error(`Every hand needs ${holeCardCount} hole cards.`);
+    }
+  });
+  if (board.length > 5) {
+    throw new Error('The board can have at most five cards.');
+  }
+
+  const seen = [];
+  [...hands.flat(), ...board, ...dead].forEach((card) => {
+    const cardStr = GF.beautifyCard(card);
+    if (!deckStr.split(' ').includes(cardStr)) {
+      throw new Error(`${cardStr} isn't in the deck.`);
+    }
+    if (seen.includes(cardStr)) {
+      throw new Error(`${cardStr} is known more than once.`);
+    }
+    seen.push(cardStr);
+  });
+};
+
+// takes the hole cards of every hand, along with any board cards and dead cards, and returns
+// { exact, boards, players }, where boards is how many boards were dealt and players has
+// { win, tie, equity } percentages for each hand, in the same order. Equity counts a tie
+// as the share of the pot the hand would get.
+// Options: gameType 'holdem', 'short-deck' or 'omaha', how many random boards to deal when
+// it can't be worked out exactly, and a seed to deal the same random boards every time.
+// maxEvaluations caps the hands evaluated in all, each Omaha hand being 60 five-card hands:
+// beyond it, random boards are dealt instead of every board, and fewer of them
+const calculateEquity = ({
+  hands,
+  board = [],
+  dead = [],
+  gameType = 'holdem',
+  iterations = DEFAULT_ITERATIONS,
+  seed = null,
+  maxEvaluations = Infinity,
+}) => {
+  checkCards(hands, board, dead, gameType);
+  if (!Number.isInteger(iterations) || iterations < 1) {
+    throw new Error('The number of random boards to deal has to be a whole number above 0.');
+  }
+  const deck = GF.getDeck({ gameType });
+  const knownCards = [...hands.flat(), ...board, ...dead].map(GF.beautifyCard);
+  const stub = GF.orderedDeck({ gameType })
+    .filter((card) => !knownCards.includes(GF.beautifyCard(card)));
+  const missing = 5 - board.length;
+  if (stub.length < missing) {
+    throw new Error('There aren\'t enough cards left to complete the board.');
+  }
+
+  const wins = hands.map(() => 0);
+  const ties = hands.map(() => 0);
+  const shares = hands.map(() => 0);
+  const strengths = hands.map(() => 0);
+  const fullBoard = [...board];
+
+  // shows down every hand on the full board
+  const showdown = () => {
+    let best = -1;
+    hands.forEach((cards, i) => {
+      strengths[i] = gameType === 'omaha'
+        ? evaluateOmahaHand(cards, fullBoard, deck)
+        : evaluateHand([...cards, ...fullBoard], deck);
+      best = Math.max(best, strengths[i]);
+    });
+    const winners = strengths.filter((strength) => strength === best).length;
+    strengths.forEach((strength, i) => {
+      if (strength === best) {
+        if (winners === 1) {
+          wins[i] += 1;
+        } else {
+          ties[i] += 1;
+        }
+        shares[i] += 1 / winners;
+      }
+    });
+  };
+
+  // every board that can still come, one card after the other from the rest of the deck
+  const dealEveryBoard = (start, position) => {
+    if (position === 5) {
+      showdown();
+      return;
+    }
+    for (let i = start; i < stub.length; i += 1) {
+      fullBoard[position] = stub[i];
+      dealEveryBoard(i + 1, position + 1);
+    }
+  };
+
+  // the five-card hands evaluated for each board
+  const evaluationsPerBoard = hands.length * (gameType === 'omaha'
+    ? countCombinations(4, 2) * countCombinations(5, 3) : 1);
+  const exactBoards = countCombinations(stub.length, missing);
+  const exact = exactBoards <= EXACT_BOARD_LIMIT
+    && exactBoards * evaluationsPerBoard <= maxEvaluations;
+  let boards;
+  if (exact) {
+    dealEveryBoard(0, board.length);
+    boards = exactBoards;
+  } else {
+    // deals the missing cards off the top of a partly shuffled deck. The boards only have to be
+    // different every time without a seed, not unpredictable, so one strong number seeds them all
+    const random = seededRandom(seed === null ? cryptoRandom() : seed);
+    boards = Math.max(Math.min(iterations, Math.floor(maxEvaluations / evaluationsPerBoard)), 1);
+    for (let trial = 0; trial < boards; trial += 1) {
+      for (let i = 0; i < missing; i += 1) {
+        const j = i + randomBelow(random, stub.length - i);
+        [stub[i], stub[j]] = [stub[j], stub[i]];
+        fullBoard[board.length + i] = stub[i];
+      }
+      showdown();
+    }
+  }
+
+  return {
+    exact,
+    boards,
+    players: hands.map((cards, i) => ({
+      win: (100 * wins[i]) / boards,
+      tie: (100 * ties[i]) / boards,
+      equity: (100 * shares[i]) / boards,
+    })),
+  };
+};
+
+module.exports = {
+  parseCards,
+  calculateEquity,
+};
@@ -0,0 +1,1682 @@
+/* eslint-disable no-param-reassign */
+// functions are grouped by the part of the game they belong to,
+// so some of them use ones that are defined further down
+/* eslint-disable no-use-before-define */
+const {
+  cryptoRandom,
+  seededRandom,
+  hashRandom,
+  randomBelow,
+  shuffle,
+} = require('./shuffle');
+const { sha256 } = require('./sha256');
+const { evaluateHand, evaluateOmahaHand, strengthToRank } = require('./handEvaluator');
+
+// this function splits everything committed during the dealer round into a main pot and
+// side pots. Each all-in player caps a pot at their total commitment, so they can only win
+// what they matched from every other player. Returns an array of { amount, eligible }
+// objects ordered from the main pot to the last side pot, where eligible holds the
+// indices of the players that can still win that pot.
+const calculatePots = (PG) => {
+  const players = PG.playerObjectArray;
+
+  // every distinct all-in commitment is a pot cap; the last pot has no cap
+  const levels = [];
+  players.forEach((player) => {
+    if (player.inGame && player.allIn && player.totalCommitment > 0
+      && !levels.includes(player.totalCommitment)) {
+      levels.push(player.totalCommitment);
+    }
+  });
+  levels.sort((a, b) => a - b);
+  levels.push(Infinity);
+
+  const pots = [];
+  let previousLevel = 0;
+  levels.forEach((level) => {
+    const pot = { amount: 0, eligible: [] };
+    players.forEach((player, i) => {
+      // each player (folded or not) contributes whatever they committed between the two caps
+      pot.amount += Math.max(Math.min(player.totalCommitment, level) - previousLevel, 0);
+
+      // players that can still bet are eligible for every pot; all-in players
+      // only for the pots they fully matched
+      if (player.inGame && (!player.allIn || player.totalCommitment >= level)) {
+        pot.eligible.push(i);
+      }
+    });
+    previousLevel = level;
+
+    if (pot.amount === 0) {
+      return;
+    }
+
+    // chips no remaining player can win stay with the previous pot
+    if (pot.eligible.length === 0 && pots.length > 0) {
+      pots[pots.length - 1].amount += pot.amount;
+      return;
+    }
+    pots.push(pot);
+  });
+
+  return pots;
+};
+
+// the first pot is the main pot, the rest are side pots
+const potName = (potIndex) => (potIndex === 0 ? 'Main pot' : `Side pot ${potIndex}`);
+
+// divides a pot between tied winners in small blind units. Whatever can't be split evenly
+// is handed out one small blind at a time, starting with the first winner left of the
+// dealer button. Returns an array of { playerIndex, amount } objects in that order
+const splitPot = (PG, amount, winnerIndices) => {
+  const numPlayers = PG.playerObjectArray.length;
+  const seatsLeftOfButton = (i) => (i - PG.dealer - 1 + numPlayers) % numPlayers;
+  const winners = [...winnerIndices].sort((a, b) => seatsLeftOfButton(a) - seatsLeftOfButton(b));
+
+  const share = Math.floor(amount / (winners.length * PG.smallBlind)) * PG.smallBlind;
+  let oddChips = amount - share * winners.length;
+  return winners.map((playerIndex) => {
+    const oddChip = Math.min(PG.smallBlind, oddChips);
+    oddChips -= oddChip;
+    return { playerIndex, amount: share + oddChip };
+  });
+};
+
+// every deck the game can be played with: its lowest card, the wheel (the lowest straight,
+// where the ace plays low) from the ace down, and the hand categories ordered from worst to
+// best. A hand's rank is the position of its category in the deck's hand ranking, so the
+// order of that list alone decides which hands beat which. Short-deck has no 2s through 5s,
+// which makes flushes rarer than full houses, so they rank higher
+const DECKS = {
+  standard: {
+    lowestCard: 2,
+    wheel: [14, 5, 4, 3, 2],
+    handRanking: ['High Card', 'Pair', 'Two Pair', 'Three of a Kind', 'Straight', 'Flush',
+      'Full House', 'Four of a Kind', 'Straight Flush'],
+  },
+  shortDeck: {
+    lowestCard: 6,
+    wheel: [14, 9, 8, 7, 6],
+    handRanking: ['High Card', 'Pair', 'Two Pair', 'Three of a Kind', 'Straight', 'Full House',
+      'Flush', 'Four of a Kind', 'Straight Flush'],
+  },
+};
+
+const getDeck = (PG) => (PG.gameType === 'short-deck' ? DECKS.shortDeck : DECKS.standard);
+
+// ranks the best five-card hand of every player still in the game against the current board
+const rankShowdownHands = (PG) => {
+  for (let i = 0; i < PG.playerObjectArray.length; i += 1) {
+    // for the players that remain, add a new object property consisting
+    // of that player's seven showdown cards
+    if (PG.playerObjectArray[i].inGame) {
+      // stud hands are the down and up cards, plus the community card if the deck ran short
+      const { cards, upCards } = PG.playerObjectArray[i];
+      const sevenCards = [...PG.board, ...cards, ...upCards].filter((card) => card !== '');
+
+      // this function takes the player's seven showdown cards, and returns
+      // the rank of the best five-hand card. Omaha hands are restricted to two hole cards
+      if (PG.gameType === 'omaha') {
+        const holeCards = PG.playerObjectArray[i].cards;
+        PG.playerObjectArray[i].showdownRank = bestOmahaHandRank(holeCards, PG.board, getDeck(PG));
+      } else {
+        PG.playerObjectArray[i].showdownRank = bestHandRank(sevenCards, getDeck(PG));
+      }
+      PG.playerObjectArray[i].showdownRank.playerIndex = i; // just for you AK ;)
+    }
+  }
+};
+
+// divides a pot between the runs of the board in small blind units, with whatever can't be
+// split evenly going to the first run. Returns the part of the pot the given run is played for
+const splitPotBetweenRuns = (PG, amount, runs, run) => {
+  const share = Math.floor(amount / (runs * PG.smallBlind)) * PG.smallBlind;
+  return run === 0 ? amount - share * (runs - 1) : share;
+};
+
+// the part of the biggest bet of the hand that nobody else matched, which goes back to the
+// player who made it instead of being won. Antes are dead money, so only what the players bet
+// on top of them counts. Returns { playerIndex, amount }, where the amount is 0 if the biggest
+// bet was matched
+const findUncalledBet = (PG) => {
+  const bets = PG.playerObjectArray.map((player) => player.totalCommitment - player.anteCommitment);
+  const playerIndex = bets.indexOf(Math.max(...bets));
+  const matched = Math.max(0, ...bets.filter((bet, i) => i !== playerIndex));
+  return {
+    playerIndex,
+    amount: bets[playerIndex] - matched,
+  };
+};
+
+// hands the uncalled part of the biggest commitment back to its owner, so that what's left in
+// the pot is only what can be won. Returns the uncalled bet, for the results of the hand
+const returnUncalledBet = (PG) => {
+  const uncalledBet = findUncalledBet(PG);
+  if (uncalledBet.amount > 0) {
+    const player = PG.playerObjectArray[uncalledBet.playerIndex];
+    player.stack += uncalledBet.amount;
+    player.totalCommitment -= uncalledBet.amount;
+    PG.pot -= uncalledBet.amount;
+    logHandEvent(PG, {
+      type: 'return',
+      run: null,
+      playerID: player.ID,
+      amount: uncalledBet.amount,
+    });
+  }
+  return uncalledBet;
+};
+
+// when the board was run more than once, every run is shown down on its own board
+// for its share of each pot
+const showdown = (PG) => {
+  // award each pot to the best hand (or hands, in case of a tie) among the players
+  // eligible for it and return the results so that the winners can be announced
+  const potResults = [];
+  const uncalledBet = returnUncalledBet(PG);
+  if (uncalledBet.amount > 0) {
+    potResults.push({
+      amount: uncalledBet.amount,
+      winners: [uncalledBet],
+      uncalled: true,
+      contested: false,
+      potIndex: 0,
+      run: 0,
+    });
+  }
+
+  const pots = calculatePots(PG);
+  const boards = PG.boards.length > 0 ? PG.boards : [PG.board];
+  boards.forEach((board, run) => {
+    PG.board = board;
+    rankShowdownHands(PG);
+    PG.playerObjectArray.forEach((player) => {
+      if (player.inGame) {
+        logHandEvent(PG, {
+          type: 'show',
+          run: boards.length > 1 ? run : null,
+          playerID: player.ID,
+          cards: [...player.cards, ...player.upCards],
+          hand: rankToHandStr(player.showdownRank[0], getDeck(PG)),
+        });
+      }
+    });
+    pots.forEach((pot, potIndex) => {
+      // a pot with a single eligible player was left to them by the players who folded, and
+      // is theirs whole, whatever the board
+      const contested = pot.eligible.length > 1;
+      if (!contested && run > 0) {
+        return;
+      }
+      const amount = contested
+        ? splitPotBetweenRuns(PG, pot.amount, boards.length, run) : pot.amount;
+      const eligibleRanks = pot.eligible.map((i) => PG.playerObjectArray[i].showdownRank);
+      const winHandRanks = pickBestHands(eligibleRanks);
+      const winners = splitPot(PG, amount, winHandRanks.map((rank) => rank.playerIndex));
+      winners.forEach((winner) => {
+        PG.playerObjectArray[winner.playerIndex].stack += winner.amount;
+        logHandEvent(PG, {
+          type: 'collect',
+          run: contested && boards.length > 1 ? run : null,
+          playerID: PG.playerObjectArray[winner.playerIndex].ID,
+          amount: winner.amount,
+          potIndex,
+          potCount: pots.length,
+        });
+      });
+      potResults.push({
+        amount,
+        winners,
+        handRank: winHandRanks[0],
+        uncalled: false,
+        contested,
+        potIndex,
+        run,
+      });
+    });
+  });
+  PG.pot = 0;
+
+  return potResults;
+};
+
+const rankToHandStr = (rank, deck = DECKS.standard) => deck.handRanking[rank];
+
+// returns the rank array of the best five-card hand out of five to seven cards. The hand
+// evaluator finds it without ranking every five-card combination
+const bestHandRank = (sevenCards, deck) => strengthToRank(evaluateHand(sevenCards, deck));
+
+// an Omaha hand has to be made of exactly two of the four hole cards and three of the five
+// board cards
+const bestOmahaHandRank = (holeCards, board, deck) => strengthToRank(
+  evaluateOmahaHand(holeCards, board, deck),
+);
+
+// compares two rank arrays in sort order: negative if the first hand is better,
+// 0 if they're equal
+const compareHandRanks = (rank1, rank2) => {
+  for (let i = 0; i < rank1.length; i += 1) {
+    if (rank2[i] - rank1[i] !== 0) {
+      return rank2[i] - rank1[i];
+    }
+  }
+  return 0;
+};
+
+const pickBestHand = (handRanks) => {
+  // sort the hand ranks and return the best one
+  handRanks.sort(compareHandRanks);
+  return handRanks[0];
+};
+
+// returns every hand rank that ties with the best one
+const pickBestHands = (handRanks) => {
+  const bestRank = pickBestHand(handRanks);
+  return handRanks.filter((rank) => compareHandRanks(rank, bestRank) === 0);
+};
+
+/**
+ * This function takes any five card hand and returns a unique rank array that can
+ * compared to any other hand's rank array to determine which is better (or equal)
+ * ranking system: the first number is the position of the hand's category in the deck's
+ * hand ranking (see DECKS), which for a standard deck is:
+ *   8 - straight flush
+ *   7 - four of a kind
+ *   6 - full house
+ *   5 - flush
+ *   4 - straight
+ *   3 - 3 of a kind
+ *   2 - two pair
+ *   1 - pair
+ *   0 - high card
+ *
+ * Each hand will have a further ranking system within
+ */
+const returnHandRank = (hand, deck = DECKS.standard) => {
+  // sort hand by number rank from greatest to lowest
+  hand.sort((card1, card2) => card2[0] - card1[0]);
+
+  // iterate through the handFunctionsArray and return the hand
+  for (let i = 0; i < handFunctionsArray.length; i += 1) {
+    const handRank = handFunctionsArray[i](hand, deck);
+    if (handRank !== null) {
+      // the hand functions number the categories in standard order, so swap that number for
+      // the category's position in this deck's ranking
+      handRank[0] = deck.handRanking.indexOf(DECKS.standard.handRanking[handRank[0]]);
+      return handRank;
+    }
+  }
+
+  // unreachable, since every hand is at least a high card
+  return null;
+};
+
+const straightFlush = (hand, deck = DECKS.standard) => {
+  // check for flush; if not, function is broken immediately
+  for (let i = 1; i <= 4; i += 1) {
+    if (hand[i][1] !== hand[0][1]) {
+      return null;
+    }
+  }
+
+  // check for wheel straight (A -> 5, or A -> 9 in short-deck)
+  let wheelCounter = 0;
+  if (hand[0][0] === 14) {
+    for (let i = 1; i <= 4; i += 1) {
+      if (hand[i][0] === deck.wheel[i]) {
+        wheelCounter += 1;
+      }
+    }
+  }
+
+  // if it's a wheel, return the rank
+  if (wheelCounter === 4) {
+    // the ace plays low, so the second card is the high card in a wheel
+    return [8, deck.wheel[1], 0, 0, 0, 0];
+  }
+
+  // check for remaining straights
+  for (let i = 1; i <= 4; i += 1) {
+    if (hand[i][0] !== hand[0][0] - i) {
+      return null;
+    }
+  }
+
+  // return SF with high card
+  return [8, hand[0][0], 0, 0, 0, 0];
+};
+
+const fourOfAKind = (hand) => {
+  const freqMap = makeFreqMap(hand);
+
+  // make a specific object for the value of the 4 and the kicker
+  const rankObj = {};
+  Object.keys(freqMap).forEach((num) => {
+    if (freqMap[num] === 4) {
+      rankObj.fourVal = parseInt(num, 10);
+    } else {
+      rankObj.kicker = parseInt(num, 10);
+    }
+  });
+
+  // check if there is four of a kind and return rank array
+  if (rankObj.fourVal === undefined) {
+    return null;
+  }
+  return [7, rankObj.fourVal, rankObj.kicker, 0, 0, 0];
+};
+
+const fullHouse = (hand) => {
+  const freqMap = makeFreqMap(hand);
+
+  // make a specific object for value of the 3 and the pair
+  const rankObj = {};
+  Object.keys(freqMap).forEach((num) => {
+    if (freqMap[num] === 3) {
+      rankObj.threeVal = parseInt(num, 10);
+    }
+    if (freqMap[num] === 2) {
+      rankObj.twoVal = parseInt(num, 10);
+    }
+  });
+
+  // check if there is a full house and return rank array
+  if (rankObj.threeVal === undefined || rankObj.twoVal === undefined) {
+    return null;
+  }
+  return [6, rankObj.threeVal, rankObj.twoVal, 0, 0, 0];
+};
+
+const flush = (hand) => {
+  for (let i = 1; i <= 4; i += 1) {
+    if (hand[i][1] !== hand[0][1]) {
+      return null;
+    }
+  }
+
+  // all 5 flush cards need to be ranked
+  const flushArray = [];
+  for (let i = 0; i < 5; i += 1) {
+    flushArray.push(hand[i][0]);
+  }
+  return [5, ...flushArray];
+};
+
+const straight = (hand, deck = DECKS.standard) => {
+  // check for wheel (see straight flush for explanation)
+  let wheelCounter = 0;
+  if (hand[0][0] === 14) {
+    for (let i = 1; i <= 4; i += 1) {
+      if (hand[i][0] === deck.wheel[i]) {
+        wheelCounter += 1;
+      }
+    }
+  }
+  if (wheelCounter === 4) {
+    return [4, deck.wheel[1], 0, 0, 0, 0];
+  }
+
+  // check for remaining straights
+  for (let i = 1; i <= 4; i += 1) {
+    if (hand[i][0] !== hand[0][0] - i) {
+      return null;
+    }
+  }
+  return [4, hand[0][0], 0, 0, 0, 0];
+};
+
+const threeOfAKind = (hand) => {
+  const freqMap = makeFreqMap(hand);
+
+  // make a specific object for value of the 3
+  const rankObj = {};
+  Object.keys(freqMap).forEach((num) => {
+    if (freqMap[num] === 3) {
+      rankObj.threeVal = parseInt(num, 10);
+    }
+  });
+
+  // create an array for the kickers and add them in (this allows
+  // them to stay ordered from highest to lowest)
+  rankObj.kickerArray = [];
+  for (let i = 0; i < 5; i += 1) {
+    if (hand[i][0] !== rankObj.threeVal) {
+      rankObj.kickerArray.push(hand[i][0]);
+    }
+  }
+
+  // check if there is a 3 of a kind and return rank array
+  if (rankObj.threeVal === undefined) {
+    return null;
+  }
+  return [3, rankObj.threeVal, ...rankObj.kickerArray, 0, 0];
+};
+
+const twoPair = (hand) => {
+  const freqMap = makeFreqMap(hand);
+
+  // make a specific object for the values of both pairs (in an array
+  // to be sorted later) and the kicker
+  const rankObj = {
+    pairValArray: [],
+  };
+  let pairCounter = 0;
+  Object.keys(freqMap).forEach((num) => {
+    if (freqMap[num] === 2) {
+      rankObj.pairValArray.push(parseInt(num, 10));
+      pairCounter += 1;
+    } else {
+      rankObj.kicker = parseInt(num, 10);
+    }
+  });
+
+  // check if there is a two-pair, sort the pair values, and return rank array
+  if (pairCounter !== 2) {
+    return null;
+  }
+  rankObj.pairValArray.sort((a, b) => b - a);
+  return [2, ...rankObj.pairValArray, rankObj.kicker, 0, 0];
+};
+
+const pair = (hand) => {
+  const freqMap = makeFreqMap(hand);
+
+  // make a specific object for value of the pair
+  const rankObj = {};
+  Object.keys(freqMap).forEach((num) => {
+    if (freqMap[num] === 2) {
+      rankObj.pairVal = parseInt(num, 10);
+    }
+  });
+
+  // create an array for the kickers and add them in (this allows
+  // them to stay ordered from highest to lowest)
+  rankObj.kickerArray = [];
+  for (let i = 0; i < 5; i += 1) {
+    if (hand[i][0] !== rankObj.pairVal) {
+      rankObj.kickerArray.push(hand[i][0]);
+    }
+  }
+
+  // check if there is a pair and return rank array
+  if (rankObj.pairVal === undefined) {
+    return null;
+  }
+  return [1, rankObj.pairVal, ...rankObj.kickerArray, 0];
+};
+
+const highCard = (hand) => {
+  const highCardArray = [];
+  for (let i = 0; i < 5; i += 1) {
+    highCardArray.push(hand[i][0]);
+  }
+  return [0, ...highCardArray];
+};
+
+// create an array of all the hand functions to iterate through in returnHandRank
+const handFunctionsArray = [straightFlush, fourOfAKind, fullHouse, flush, straight,
+  threeOfAKind, twoPair, pair, highCard];
+
+// make an object where each card number is the key, and the amount of times
+// that card number appears in the hand is that key's value
+const makeFreqMap = (hand) => {
+  const freqMap = {};
+  for (let i = 0; i < 5; i += 1) {
+    const num = hand[i][0];
+    if (freqMap[num] === undefined) {
+      freqMap[num] = 0;
+    }
+    freqMap[num] += 1;
+  }
+  return freqMap;
+};
+
+// the random numbers for one use in the game, such as a hand's shuffle. Without a seed they're
+// cryptographically strong. With PG.seed, every use gets its own numbers that come out the same
+// each time the game is played with that seed, so its hands can be reproduced
+const getRandom = (PG, use) => (PG.seed ? seededRandom(`${PG.seed}/${use}`) : cryptoRandom);
+
+// --- HAND HISTORY ---
+// every hand is logged as it's played: the seats and stacks it started with, then every card dealt,
+// forced bet, action, showdown and pot award as an event, in the order they happened. Once the hand
+// is over, its log goes to PG.handHistories, which handHistory.js writes out as text
+
+// adds an event to the log of the hand being played. Games set up by hand, such as in the
+// tests, have no log
+const logHandEvent = (PG, event) => {
+  if (PG.handLog) {
+    PG.handLog.events.push(event);
+  }
+};
+
+// starts the log of a hand once its deck is shuffled, before anything is dealt or posted
+const startHandLog = (PG) => {
+  PG.handLog = {
+    handNumber: PG.handNumber,
+    startedAt: new Date().toISOString(),
+    gameType: PG.gameType,
+    bettingStructure: PG.bettingStructure,
+    smallBlind: PG.smallBlind,
+    bigBlind: PG.bigBlind,
+    buttonSeat: PG.playerObjectArray[PG.dealer].ID,
+    seats: PG.playerObjectArray
+      .filter((player) => player.inGame)
+      .map((player) => ({ playerID: player.ID, stack: player.stack })),
+    events: [],
+  };
+};
+
+// logs the action the player just took, given how the betting stood before it. A raise that's
+// no bigger than the previous bet is an all-in call, and in stud the first raise completes the
+// bring-in. Amounts are what the action put in, and raises also say what they raised by and to
+const logPlayerAction = (PG, player, before) => {
+  const event = { type: 'action', playerID: player.ID, allIn: player.allIn };
+  if (player.actionState === 'raise' && player.potCommitment > before.previousBet) {
+    event.raiseTo = player.potCommitment;
+    event.raiseBy = player.potCommitment - before.previousBet;
+    event.amount = player.potCommitment - before.potCommitment;
+    if (before.previousBet === 0) {
+      event.action = 'bets';
+    } else if (PG.gameType === 'stud' && before.raiseCount === 0) {
+      event.action = 'completes';
+    } else {
+      event.action = 'raises';
+    }
+  } else if (player.potCommitment > before.potCommitment) {
+    event.action = 'calls';
+    event.amount = player.potCommitment - before.potCommitment;
+  } else {
+    event.action = player.actionState === 'fold' ? 'folds' : 'checks';
+  }
+  logHandEvent(PG, event);
+};
+
+// files the log of the hand that just ended, along with what was revealed about its deck
+const finishHandLog = (PG, revealedHand) => {
+  if (!PG.handLog) {
+    return;
+  }
+  PG.handHistories.push({ ...PG.handLog, fairness: revealedHand });
+  PG.handLog = null;
+};
+
+// --- PROVABLY FAIR DEALING ---
+// every hand is shuffled with the numbers that follow from a secret server seed and the seeds
+// the players contributed. When the hand is dealt, the hash of the server seed and the shuffled
+// deck is published as a commitment. Once it's over, the server seed is revealed, so that anyone
+// can shuffle the deck again and check that it's the one the commitment was made to. Until then,
+// PG.serverSeed, PG.nextServerSeed and PG.deckArray have to stay on the server
+
+// a new full deck, in order
+const orderedDeck = (PG) => {
+  const deckArray = [];
+  for (let num = getDeck(PG).lowestCard; num <= 14; num += 1) {
+    const spadesCard = [num, 'S'];
+    const clubsCard = [num, 'C'];
+    const diamondCard = [num, 'D'];
+    const heartCard = [num, 'H'];
+    deckArray.push(spadesCard, clubsCard, diamondCard, heartCard);
+  }
+  return deckArray;
+};
+
+// writes a deck out as cards like "AS 10H 2C", the way the commitment hashes it
+const deckToStr = (deck) => deck.map(beautifyCard).join(' ');
+
+const commitDeck = (serverSeed, deck) => sha256(`${serverSeed}:${deckToStr(deck)}`);
+
+// the deck that follows from the seeds of a hand
+const shuffleDeck = (PG, serverSeed, clientSeed) => shuffle(
+  orderedDeck(PG),
+  hashRandom(`${serverSeed}:${clientSeed}`),
+);
+
+// 256 random bits, written out in hexadecimal
+const createServerSeed = (PG, handNumber) => {
+  const random = getRandom(PG, `hand ${handNumber}`);
+  let serverSeed = '';
+  for (let i = 0; i < 8; i += 1) {
+    serverSeed += random().toString(16).padStart(8, '0');
+  }
+  return serverSeed;
+};
+
+// the seeds the players contributed, such as "1=lucky,3=7h2o", or '' if nobody did
+const combineClientSeeds = (PG) => PG.playerObjectArray
+  .filter((player) => player.clientSeed)
+  .map((player) => `${player.ID}=${player.clientSeed}`)
+  .join(',');
+
+// the player whose turn it is contributes a seed of their own, which is mixed into the shuffle from
+// the next hand on. The server seed of the next hand was already picked and its hash published,
+// so the server can't pick one that gives a deck it likes once the players' seeds are known
+const setClientSeed = (PG, clientSeed) => {
+  const player = PG.playerObjectArray[PG.turn];
+  player.clientSeed = clientSeed;
+  PG.message += `\nPlayer ${player.ID}'s seed will be mixed into the shuffle from the next hand on`;
+};
+
+// the "build deck" function creates a new full deck and shuffles it once for the whole hand.
+// Cards are then dealt from the top. The hand's server seed was picked when the last hand was
+// dealt, and the next hand's is picked now
+const buildDeck = (PG) => {
+  PG.serverSeed = PG.nextServerSeed && PG.nextServerSeed.handNumber === PG.handNumber
+    ? PG.nextServerSeed.serverSeed : createServerSeed(PG, PG.handNumber);
+  PG.nextServerSeed = {
+    handNumber: PG.handNumber + 1,
+    serverSeed: createServerSeed(PG, PG.handNumber + 1),
+  };
+
+  const clientSeed = combineClientSeeds(PG);
+  PG.deckArray = shuffleDeck(PG, PG.serverSeed, clientSeed);
+  PG.handCommitment = {
+    handNumber: PG.handNumber,
+    gameType: PG.gameType,
+    clientSeed,
+    serverSeedHash: sha256(PG.serverSeed),
+    commitment: commitDeck(PG.serverSeed, PG.deckArray),
+    nextServerSeedHash: sha256(PG.nextServerSeed.serverSeed),
+  };
+};
+
+// once the hand is over, its server seed is revealed along with its commitment.
+// Returns what was revealed, or null if no hand was dealt
+const revealServerSeed = (PG) => {
+  if (PG.handCommitment === null) {
+    return null;
+  }
+  const revealedHand = { ...PG.handCommitment, serverSeed: PG.serverSeed };
+  PG.revealedHands.push(revealedHand);
+  PG.message += `\nHand ${PG.handNumber}'s server seed was ${PG.serverSeed}`;
+  PG.handCommitment = null;
+  return revealedHand;
+};
+
+// checks a revealed hand: that the server seed is the one whose hash was published, and that the
+// deck it shuffles to along with the players' seeds is the one the commitment was made to. Given
+// the cards the hand's history says were dealt, also checks that they came off the top of that
+// deck in order. Returns { valid: true, deck } with the deck as it was dealt from the top,
+// or { valid: false, error }
+const verifyHand = (revealedHand, dealtCards = null) => {
+  const {
+    gameType,
+    clientSeed,
+    serverSeed,
+    serverSeedHash,
+    commitment,
+  } = revealedHand;
+  if (sha256(serverSeed) !== serverSeedHash) {
+    return { valid: false, error: 'The server seed isn\'t the one whose hash was published.' };
+  }
+  const deck = shuffleDeck({ gameType }, serverSeed, clientSeed);
+  if (commitDeck(serverSeed, deck) !== commitment) {
+    return { valid: false, error: 'The deck doesn\'t match the commitment.' };
+  }
+  if (dealtCards && deckToStr(dealtCards) !== deckToStr(deck.slice(0, dealtCards.length))) {
+    return { valid: false, error: 'The cards dealt didn\'t come off the top of the deck.' };
+  }
+  return { valid: true, deck: deckToStr(deck) };
+};
+
+// Omaha players get four hole cards instead of two
+const countHoleCards = (PG) => (PG.gameType === 'omaha' ? 4 : 2);
+
+// takes the top card off the deck and returns it
+const drawCard = (PG) => PG.deckArray.shift();
+
+// deals a Seven-Card Stud street to every player still in the hand. Streets are numbered like
+// the action rounds: two down cards and one up card on third street (0), one up card on fourth
+// through sixth street (1 to 3), and a last down card on seventh street (4). Eight players can
+// run the deck out before seventh street goes around, in which case a single community card is
+// dealt to the board for everyone to share instead
+const dealStudStreet = (PG, street) => {
+  const livePlayers = PG.playerObjectArray.filter((player) => player.inGame);
+  if (street === 4 && PG.deckArray.length < livePlayers.length) {
+    addToBoard(PG);
+    logHandEvent(PG, { type: 'deal', playerID: null, cards: [PG.board[0]] });
+    return;
+  }
+
+  livePlayers.forEach((player) => {
+    const cards = [];
+    if (street === 0) {
+      player.cards[0] = drawCard(PG);
+      player.cards[1] = drawCard(PG);
+      cards.push(player.cards[0], player.cards[1]);
+    }
+    if (street === 4) {
+      player.cards[2] = drawCard(PG);
+      cards.push(player.cards[2]);
+    } else {
+      player.upCards.push(drawCard(PG));
+      cards.push(player.upCards[player.upCards.length - 1]);
+    }
+    logHandEvent(PG, { type: 'deal', playerID: player.ID, cards });
+  });
+};
+
+// this function assigns cards from the deck to players. Remaining deck is returned and player
+// objects are updated accordingly. Only needs to run once at the beginning of each dealer round
+const dealCards = (PG) => {
+  if (PG.gameType === 'stud') {
+    dealStudStreet(PG, 0);
+    return;
+  }
+  for (let i = 0; i < PG.playerObjectArray.length; i += 1) {
+    for (let j = 0; j < countHoleCards(PG); j += 1) {
+      PG.playerObjectArray[i].cards[j] = drawCard(PG);
+    }
+    logHandEvent(PG, {
+      type: 'deal',
+      playerID: PG.playerObjectArray[i].ID,
+      cards: PG.playerObjectArray[i].cards.slice(),
+    });
+  }
+};
+
+// increments turn so that it can loop around the table
+const incrementTurn = (PG) => {
+  PG.turn += 1;
+  PG.turn %= PG.playerObjectArray.length;
+
+  // TO-DO: fix the message box
+  // eslint-disable-next-line max-len
+  // PG.message = `Player ${PG.playerObjectArray[PG.dealer].ID} is the dealer\nPlayer ${PG.playerObjectArray[PG.turn].ID}, it's your turn`;
+};
+
+// this function finds the next player that's still in the game and increments the turn to them
+const findNextPlayer = (PG) => {
+  // iterates starting from the current turn until it finds the next player that hasn't folded
+  // and isn't all-in, then breaks the loop
+  for (let i = 0; i < PG.playerObjectArray.length; i += 1) {
+    if (!PG.playerObjectArray[PG.turn].inGame || PG.playerObjectArray[PG.turn].allIn) {
+      incrementTurn(PG);
+    } else {
+      break;
+    }
+  }
+};
+
+// a dealer round is heads-up when only two players are dealt in
+const checkHeadsUp = (PG) => PG.playerObjectArray.filter((player) => player.inGame).length === 2;
+
+// returns the first seat after the given one whose player still has chips
+const findNextSeatWithChips = (PG, seat) => {
+  let nextSeat = seat;
+  for (let i = 0; i < PG.playerObjectArray.length; i += 1) {
+    nextSeat += 1;
+    nextSeat %= PG.playerObjectArray.length;
+    if (PG.playerObjectArray[nextSeat].inGame) {
+      break;
+    }
+  }
+  return nextSeat;
+};
+
+// assigns the blinds for the first dealer round, starting from the dealer. Heads-up, the
+// dealer posts the small blind; otherwise it's the next player after the dealer
+const assignBlindsFromDealer = (PG) => {
+  PG.smallBlindSeat = checkHeadsUp(PG) ? PG.dealer : findNextSeatWithChips(PG, PG.dealer);
+  PG.bigBlindSeat = findNextSeatWithChips(PG, PG.smallBlindSeat);
+};
+
+// dead button rule: the big blind always moves forward to the next player with chips, the
+// small blind goes to last round's big blind seat, and the button to last round's small blind
+// seat. If the players in those seats have busted, the small blind is dead and the button sits
+// on an empty seat, but nobody skips the big blind or posts it twice in a row. Heads-up, the
+// dealer always posts the small blind
+const moveButtonAndBlinds = (PG) => {
+  // first dealer round, the button simply moves to the next player with chips
+  if (PG.bigBlindSeat === -1) {
+    PG.dealer = findNextSeatWithChips(PG, PG.dealer);
+    assignBlindsFromDealer(PG);
+    return;
+  }
+
+  const nextBigBlindSeat = findNextSeatWithChips(PG, PG.bigBlindSeat);
+  if (checkHeadsUp(PG)) {
+    PG.dealer = findNextSeatWithChips(PG, nextBigBlindSeat);
+    PG.smallBlindSeat = PG.dealer;
+  } else {
+    PG.dealer = PG.smallBlindSeat;
+    PG.smallBlindSeat = PG.bigBlindSeat;
+  }
+  PG.bigBlindSeat = nextBigBlindSeat;
+};
+
+// declares the dealer of the dealer round
+const announceDealer = (PG) => {
+  if (PG.playerObjectArray[PG.dealer].inGame) {
+    PG.message += `\nPlayer ${PG.playerObjectArray[PG.dealer].ID} is the dealer`;
+  } else {
+    // a dead button is left on the seat of a player who busted
+    PG.message += `\nThe button is dead on Player ${PG.playerObjectArray[PG.dealer].ID}'s empty seat`;
+  }
+};
+
+// in fixed-limit, every bet and raise is one small bet (the big blind) pre-flop and on the
+// flop, and one big bet (twice the big blind) on the turn and river. Stud switches to the big
+// bet on fifth street
+const calculateBetUnit = (PG, actionRoundState) => {
+  if (PG.bettingStructure === 'fixed-limit' && actionRoundState >= 2) {
+    return 2 * PG.bigBlind;
+  }
+  return PG.bigBlind;
+};
+
+// in fixed-limit, once the bet and the allowed number of raises are in, the action round is
+// capped and players can only call or fold
+const checkRaiseCapReached = (PG) => PG.bettingStructure === 'fixed-limit' && PG.raiseCount > PG.raiseCap;
+
+// antes go into the pot without being live bets, so they never count toward the previous bet.
+// With a big blind ante, the big blind pays the ante for everyone dealt in
+const postAntes = (PG) => {
+  const postAnte = (player, amount) => {
+    if (amount === 0) {
+      return;
+    }
+    const { stack } = player;
+    player.postAnte(amount, PG);
+    logHandEvent(PG, {
+      type: 'post',
+      playerID: player.ID,
+      kind: 'ante',
+      amount: stack - player.stack,
+      allIn: player.allIn,
+    });
+  };
+
+  if (PG.bigBlindAnte) {
+    const numPlayers = PG.playerObjectArray.filter((player) => player.inGame).length;
+    postAnte(PG.playerObjectArray[PG.bigBlindSeat], PG.ante * numPlayers);
+    return;
+  }
+  PG.playerObjectArray.forEach((player) => {
+    if (player.inGame) {
+      postAnte(player, PG.ante);
+    }
+  });
+};
+
+// logs a blind, straddle or bring-in the player just posted
+const logForcedBet = (PG, player, kind) => {
+  logHandEvent(PG, {
+    type: 'post',
+    playerID: player.ID,
+    kind,
+    amount: player.potCommitment,
+    allIn: player.allIn,
+  });
+};
+
+const postBlinds = (PG) => {
+  // antes come before the blinds, as they're paid by everyone dealt in. A big blind ante is
+  // the exception, posted after the big blind so that a short stack has the blind covered first
+  if (!PG.bigBlindAnte) {
+    postAntes(PG);
+  }
+
+  // post small blind, unless it's dead because that player busted. Blinds are forced bets,
+  // so a player that can't cover one posts whatever they have and is all-in
+  const smallBlindPlayer = PG.playerObjectArray[PG.smallBlindSeat];
+  if (smallBlindPlayer.inGame) {
+    smallBlindPlayer.postForcedBet(PG.smallBlind, PG);
+    smallBlindPlayer.actionState = 'SB';
+    logForcedBet(PG, smallBlindPlayer, 'small blind');
+  }
+
+  // post big blind
+  const bigBlindPlayer = PG.playerObjectArray[PG.bigBlindSeat];
+  bigBlindPlayer.postForcedBet(PG.bigBlind, PG);
+  bigBlindPlayer.actionState = 'BB';
+  logForcedBet(PG, bigBlindPlayer, 'big blind');
+
+  if (PG.bigBlindAnte) {
+    postAntes(PG);
+  }
+
+  // the full big blind has to be called even if it was posted short, and counts as the first bet
+  PG.turn = PG.bigBlindSeat;
+  PG.minRaise = calculateBetUnit(PG, 0);
+  PG.previousBet = PG.bigBlind;
+  PG.raiseCount = 1;
+
+  // a straddle is a blind raise to twice the big blind. It becomes the bet to call and, outside
+  // of fixed-limit, the minimum raise, and the action starts after the straddler so they get
+  // the last option
+  if (PG.straddleSeat !== -1) {
+    const straddlePlayer = PG.playerObjectArray[PG.straddleSeat];
+    straddlePlayer.postForcedBet(2 * PG.bigBlind, PG);
+    straddlePlayer.actionState = 'STR';
+    logForcedBet(PG, straddlePlayer, 'straddle');
+    PG.turn = PG.straddleSeat;
+    PG.previousBet = 2 * PG.bigBlind;
+    if (PG.bettingStructure !== 'fixed-limit') {
+      PG.minRaise = 2 * PG.bigBlind;
+    }
+    PG.raiseCount = 2;
+  }
+  incrementTurn(PG);
+
+  // the blinds and the straddle are forced bets, so nobody has acted yet. The player whose
+  // blind or straddle isn't raised gets the option to check or raise when the action comes back
+  PG.playerObjectArray.forEach((player) => {
+    player.hasActed = false;
+  });
+
+  // first to act is the next player that still has chips behind, which heads-up
+  // brings the action back around to the small blind
+  findNextPlayer(PG);
+};
+
+// suits from lowest to highest, which break ties between equal up cards
+// when deciding the stud bring-in
+const STUD_SUIT_ORDER = ['C', 'D', 'H', 'S'];
+
+// the stud bring-in is posted by the player showing the lowest up card on third street
+const findBringInSeat = (PG) => {
+  const cardOrder = (card) => card[0] * STUD_SUIT_ORDER.length + STUD_SUIT_ORDER.indexOf(card[1]);
+  let bringInSeat = -1;
+  for (let i = 0; i < PG.playerObjectArray.length; i += 1) {
+    const player = PG.playerObjectArray[i];
+    if (player.inGame && (bringInSeat === -1
+      || cardOrder(player.upCards[0]) < cardOrder(PG.playerObjectArray[bringInSeat].upCards[0]))) {
+      bringInSeat = i;
+    }
+  }
+  return bringInSeat;
+};
+
+// ranks the up cards a stud player is showing. Straights and flushes don't count with fewer
+// than five cards, so the rank is the hand category followed by the card values, most
+// frequent first and then highest first
+const rankUpCards = (upCards) => {
+  const freqMap = {};
+  upCards.forEach((card) => {
+    freqMap[card[0]] = (freqMap[card[0]] || 0) + 1;
+  });
+  const values = Object.keys(freqMap).map(Number).sort((a, b) => freqMap[b] - freqMap[a] || b - a);
+  const counts = values.map((value) => freqMap[value]);
+
+  let category = 'High Card';
+  if (counts[0] === 4) {
+    category = 'Four of a Kind';
+  } else if (counts[0] === 3) {
+    category = 'Three of a Kind';
+  } else if (counts[0] === 2 && counts[1] === 2) {
+    category = 'Two Pair';
+  } else if (counts[0] === 2) {
+    category = 'Pair';
+  }
+  return [DECKS.standard.handRanking.indexOf(category), ...values];
+};
+
+// the best hand showing opens every stud street after third street. Ties go to the first of
+// those players left of the dealer
+const findStudOpener = (PG) => {
+  const numPlayers = PG.playerObjectArray.length;
+  let openerSeat = -1;
+  for (let i = 1; i <= numPlayers; i += 1) {
+    const seat = (PG.dealer + i) % numPlayers;
+    if (PG.playerObjectArray[seat].inGame && (openerSeat === -1
+      || compareHandRanks(rankUpCards(PG.playerObjectArray[seat].upCards),
+        rankUpCards(PG.playerObjectArray[openerSeat].upCards)) < 0)) {
+      openerSeat = seat;
+    }
+  }
+  return openerSeat;
+};
+
+// stud has no blinds. Everyone antes, then the lowest up card brings it in for the small blind
+// amount and the action goes on to their left. Completing the bring-in to the big blind counts
+// as the first bet, and the bring-in gets no option to raise if everyone just calls it, so
+// unlike a blind, the bring-in counts as having acted
+const postAntesAndBringIn = (PG) => {
+  postAntes(PG);
+  PG.playerObjectArray.forEach((player) => {
+    player.hasActed = false;
+  });
+
+  const bringInSeat = findBringInSeat(PG);
+  const bringInPlayer = PG.playerObjectArray[bringInSeat];
+  bringInPlayer.postForcedBet(PG.smallBlind, PG);
+  bringInPlayer.actionState = 'BI';
+  logForcedBet(PG, bringInPlayer, 'bring-in');
+  bringInPlayer.hasActed = true;
+  PG.turn = bringInSeat;
+  incrementTurn(PG);
+
+  PG.previousBet = PG.smallBlind;
+  PG.minRaise = PG.bigBlind > PG.smallBlind ? PG.bigBlind - PG.smallBlind : PG.bigBlind;
+  PG.raiseCount = 0;
+  findNextPlayer(PG);
+};
+
+// takes the top card off the deck and adds it to the board next opening.
+// will need to be called 3 times for the flop, once for turn and once for river.
+// a board that's run more than once has one board per run
+const addToBoard = (PG, board = PG.board) => {
+  for (let i = 0; i < 5; i += 1) {
+    if (board[i] === '') {
+      board[i] = drawCard(PG);
+      return;
+    }
+  }
+};
+
+const flop = (PG, board = PG.board) => {
+  addToBoard(PG, board);
+  addToBoard(PG, board);
+  addToBoard(PG, board);
+};
+
+// deals the street that follows the current action round: the flop after the pre-flop,
+// otherwise the turn or the river, on every run of the board. Stud deals the next street
+// to the players instead
+const dealNextStreet = (PG) => {
+  const street = PG.actionRoundState + 1;
+  if (PG.gameType === 'stud') {
+    logHandEvent(PG, {
+      type: 'street',
+      street,
+      run: null,
+      cards: [],
+    });
+    dealStudStreet(PG, street);
+    return;
+  }
+  const boards = PG.boards.length > 0 ? PG.boards : [PG.board];
+  boards.forEach((board, run) => {
+    const cardsBefore = board.filter((card) => card !== '').length;
+    if (PG.actionRoundState === 0) {
+      flop(PG, board);
+    } else {
+      addToBoard(PG, board);
+    }
+    const cards = board.filter((card) => card !== '');
+    logHandEvent(PG, {
+      type: 'street',
+      street,
+      run: PG.boards.length > 1 ? run : null,
+      cards: cards.slice(cardsBefore),
+      board: cards,
+    });
+  });
+};
+
+// the action round that ends in the showdown: the river, or seventh street in stud
+const getLastActionRound = (PG) => (PG.gameType === 'stud' ? 4 : 3);
+
+// once no more than one player in the hand has chips behind and that player has already
+// matched the bet, nobody is left to bet against and the rest of the board can be dealt
+// without more input. This happens at the end of an action round, or right after blinds
+// that put players all-in
+const checkAllInRunOut = (PG) => {
+  const livePlayers = PG.playerObjectArray.filter((player) => player.inGame);
+  const playersWithChips = livePlayers.filter((player) => !player.allIn);
+  return livePlayers.length > 1 && playersWithChips.length <= 1
+    && playersWithChips.every((player) => player.potCommitment >= PG.previousBet);
+};
+
+// returns the next seat after the given one whose player is still in the hand, all-in or not
+const findNextSeatInHand = (PG, seat) => {
+  const numPlayers = PG.playerObjectArray.length;
+  for (let i = 1; i <= numPlayers; i += 1) {
+    if (PG.playerObjectArray[(seat + i) % numPlayers].inGame) {
+      return (seat + i) % numPlayers;
+    }
+  }
+  return seat;
+};
+
+// before an all-in run-out with the river still to come, the players in the hand can agree
+// to run the rest of the board twice or three times, as long as the deck has the cards for it.
+// Stud has no board to run. Each player is asked in turn from the left of the dealer, and the
+// board runs the fewest times anyone asks for. Returns whether the run-out was offered, in
+// which case it's the turn of the first player to answer
+const offerRunItTwice = (PG) => {
+  const cardsLeft = PG.board.filter((card) => card === '').length;
+  PG.boards = [];
+  PG.runCount = Math.min(3, Math.floor(PG.deckArray.length / Math.max(cardsLeft, 1)));
+  PG.runItOffered = PG.gameType !== 'stud' && PG.actionRoundState < getLastActionRound(PG)
+    && PG.runCount > 1;
+  if (!PG.runItOffered) {
+    PG.runCount = 1;
+    return false;
+  }
+  PG.turn = findNextSeatInHand(PG, PG.dealer);
+  PG.message = `Player ${PG.playerObjectArray[PG.turn].ID}, how many times would you like `
+    + 'to run the board?';
+  return true;
+};
+
+// records how many times the player whose turn it is wants to run the board. Once everyone
+// has answered, or anyone only wants to run it once, every run gets its own copy of the
+// board dealt so far and the run-out starts. The message only ever holds the question for
+// the player to answer next, and then what was decided
+const decideRunCount = (PG, runs) => {
+  PG.runCount = Math.min(PG.runCount, runs);
+  PG.turn = findNextSeatInHand(PG, PG.turn);
+  if (PG.runCount > 1 && PG.turn !== findNextSeatInHand(PG, PG.dealer)) {
+    PG.message = `Player ${PG.playerObjectArray[PG.turn].ID}, how many times would you like `
+      + 'to run the board?';
+    return;
+  }
+  PG.runItOffered = false;
+  PG.allInRunOut = true;
+  if (PG.runCount > 1) {
+    PG.boards = Array.from({ length: PG.runCount }, () => [...PG.board]);
+  }
+  PG.message = `Running it ${['once', 'twice', 'three times'][PG.runCount - 1]}`;
+};
+
+// takes in the card array of 2, and returns 1 string
+const beautifyCard = (card) => {
+  const num = card[0].toString();
+  switch (num) {
+    case '11':
+      return `J${card[1]}`;
+    case '12':
+      return `Q${card[1]}`;
+    case '13':
+      return `K${card[1]}`;
+    case '14':
+      return `A${card[1]}`;
+    default:
+      return num + card[1];
+  }
+};
+
+// returns the most the player whose turn it is can bet, as the total they'd have in front
+// of them. In pot-limit, a raise can be at most the size of the pot after the call, rounded
+// down to the small blind. In fixed-limit, it's the only bet allowed: exactly one bet unit
+// more than the previous bet
+const calculateMaxBet = (PG) => {
+  const player = PG.playerObjectArray[PG.turn];
+  const allInBet = player.stack + player.potCommitment;
+  if (PG.bettingStructure === 'fixed-limit') {
+    return Math.min(allInBet, PG.previousBet + PG.minRaise);
+  }
+  if (PG.bettingStructure !== 'pot-limit') {
+    return allInBet;
+  }
+  const potBet = PG.previousBet + PG.pot + (PG.previousBet - player.potCommitment);
+  return Math.min(allInBet, potBet - (potBet % PG.smallBlind));
+};
+
+// just to make it easier to keep track where I'm doing this
+const convertToDollars = (value) => {
+  value /= 100;
+  return value;
+};
+const convertToCents = (value) => {
+  value *= 100;
+  return value;
+};
+
+// returns one line per pot naming everyone who won it and how, and which run of the board
+// it was won on when the board was run more than once
+const potResultsToStr = (PG, potResults) => potResults.map((result) => {
+  const names = result.winners.map((winner) => `Player ${PG.playerObjectArray[winner.playerIndex].ID}`);
+  const amountStr = `$${convertToDollars(result.amount)}`;
+  if (result.uncalled) {
+    return `${names[0]} takes back ${amountStr} uncalled`;
+  }
+  const numPots = Math.max(...potResults.map((otherResult) => otherResult.potIndex)) + 1;
+  const numRuns = Math.max(...potResults.map((otherResult) => otherResult.run)) + 1;
+  const runStr = numRuns > 1 ? `Run ${result.run + 1}: ` : '';
+  const potStr = numPots > 1 ? ` from the ${potName(result.potIndex).toLowerCase()}` : '';
+  // nobody else could win a pot the other players folded to
+  if (!result.contested) {
+    return `${names[0]} won ${amountStr}${potStr}`;
+  }
+  const handStr = `with a ${rankToHandStr(result.handRank[0], getDeck(PG))}`;
+  if (names.length === 1) {
+    return `${runStr}${names[0]} won ${amountStr}${potStr} ${handStr}`;
+  }
+  const namesStr = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  return `${runStr}${namesStr} split ${amountStr}${potStr} ${handStr}`;
+}).join('\n');
+
+// why the player whose turn it is can't bet or raise, or null if they can
+const findRaiseBlocker = (PG) => {
+  const player = PG.playerObjectArray[PG.turn];
+  // an all-in raise that was smaller than a full raise doesn't reopen the betting
+  // for players that already acted, so they can only call or fold
+  if (player.hasActed) {
+    return 'You can only call or fold here.';
+  }
+  if (checkRaiseCapReached(PG)) {
+    return 'The betting is capped, so you can only call or fold here.';
+  }
+  // a player whose stack doesn't cover more than the call can only call all-in
+  if (player.stack + player.potCommitment <= PG.previousBet) {
+    return 'You can only call or fold here.';
+  }
+  // a raise that nobody left in the hand has the chips to call would only be given back
+  const othersWithChips = PG.playerObjectArray
+    .filter((other) => other !== player && other.inGame && !other.allIn);
+  if (othersWithChips.length === 0) {
+    return 'Everyone else in the hand is all-in, so you can\'t raise here.';
+  }
+  return null;
+};
+
+// the actions the player whose turn it is may take, in the order the interfaces offer them:
+//  { type: 'fold' }, { type: 'check' },
+//  { type: 'call', amount } with the amount the call adds to the pot, all-in if it's the stack,
+//  { type: 'raise', minRaiseTo, maxRaiseTo } with the smallest and biggest total bet allowed. In
+//  fixed-limit they're the same, and a stack too short for a full raise can always go all-in.
+// Before the cards are dealt, the straddle is { type: 'straddle' }, and before an all-in run-out,
+// how many times to run the board is { type: 'runs', min, max }. Nobody acts during a run-out
+const getLegalActions = (PG) => {
+  if (!PG.gameUnderway || PG.allInRunOut) {
+    return [];
+  }
+  if (PG.straddleOffered) {
+    return [{ type: 'straddle' }];
+  }
+  if (PG.runItOffered) {
+    return [{ type: 'runs', min: 1, max: PG.runCount }];
+  }
+
+  // a player who owes nothing checks, which gives the big blind (or the small blind if it's the
+  // same size, or the straddle) the option pre-flop. Otherwise there's the amount owed to call
+  const player = PG.playerObjectArray[PG.turn];
+  const amountOwed = calculateAmountOwed(PG, player);
+  const legalActions = [{ type: 'fold' }];
+  if (amountOwed === 0) {
+    legalActions.push({ type: 'check' });
+  } else {
+    legalActions.push({ type: 'call', amount: Math.min(amountOwed, player.stack) });
+  }
+  if (findRaiseBlocker(PG) === null) {
+    // bets go in small blind units, so after a short all-in left the bet off them, the smallest
+    // raise is rounded up to the next one
+    const maxRaiseTo = calculateMaxBet(PG);
+    const minRaiseTo = Math.ceil((PG.previousBet + PG.minRaise) / PG.smallBlind) * PG.smallBlind;
+    legalActions.push({
+      type: 'raise',
+      minRaiseTo: Math.min(minRaiseTo, maxRaiseTo),
+      maxRaiseTo,
+    });
+  }
+  return legalActions;
+};
+
+// checks that the player whose turn it is can take the action: 'call', 'check', 'fold', or
+// 'raise' with the total bet in cents. Returns { valid: true, playerAction } with the action
+// to take, where a fixed-limit raise is always the one bet allowed, or { valid: false, error }
+const validatePlayerAction = (PG, action) => {
+  const legalActions = getLegalActions(PG);
+  const legalAction = legalActions.find((legal) => legal.type === action[0]);
+  if (['call', 'check', 'fold'].includes(action[0])) {
+    return legalAction
+      ? { valid: true, playerAction: [action[0], ''] }
+      : { valid: false, error: `You cannot ${action[0]} here.` };
+  }
+  if (action[0] !== 'raise') {
+    return { valid: false, error: `${action[0]} is not an action.` };
+  }
+  if (!legalAction) {
+    return { valid: false, error: findRaiseBlocker(PG) };
+  }
+
+  // in fixed-limit, the bet size is set by the action round
+  if (PG.bettingStructure === 'fixed-limit') {
+    return { valid: true, playerAction: ['raise', legalAction.maxRaiseTo] };
+  }
+
+  // verify that the raise is an increment of the small blind and between the minimum and the
+  // maximum raise. exception is made if player bets stack; then bet gets through regardless
+  // of the min raise.
+  const bet = action[1];
+  const player = PG.playerObjectArray[PG.turn];
+  if (bet === player.stack + player.potCommitment && bet <= legalAction.maxRaiseTo) {
+    return { valid: true, playerAction: ['raise', bet] };
+  }
+  if (bet % PG.smallBlind !== 0 || bet < legalAction.minRaiseTo || bet > legalAction.maxRaiseTo) {
+    return { valid: false, error: 'You can\'t raise that amount.' };
+  }
+  return { valid: true, playerAction: ['raise', bet] };
+};
+
+// function to toggle the various methods corresponding to player actions
+const handlePlayerAction = (action, PG) => {
+  // eslint-disable-next-line default-case
+  switch (action[0]) {
+    case 'call':
+      PG.playerObjectArray[PG.turn].call(PG);
+      break;
+    case 'raise':
+      PG.playerObjectArray[PG.turn].raise(action[1], PG);
+      break;
+    case 'fold':
+      PG.playerObjectArray[PG.turn].fold();
+      break;
+    case 'check':
+      PG.playerObjectArray[PG.turn].check();
+      break;
+  }
+};
+
+// takes the action of the player whose turn it is and moves the game along. Besides the
+// betting actions, players decide on the straddle and on how many times to run the board,
+// and can contribute a seed to the shuffle
+const playTurn = (action, PG) => {
+  if (action[0] === 'straddle') {
+    decideStraddle(PG, action[1]);
+    return;
+  }
+  if (action[0] === 'runs') {
+    decideRunCount(PG, action[1]);
+    return;
+  }
+  if (action[0] === 'clientSeed') {
+    setClientSeed(PG, action[1]);
+    return;
+  }
+
+  const player = PG.playerObjectArray[PG.turn];
+  const { previousBet, raiseCount } = PG;
+  const { potCommitment } = player;
+  handlePlayerAction(action, PG);
+  logPlayerAction(PG, player, { previousBet, raiseCount, potCommitment });
+
+  incrementTurn(PG);
+  // function to find the next player that is still in the game
+  findNextPlayer(PG);
+  handleGameFlow(PG);
+};
+
+// awards the main pot and any side pots to their winners, states how they won
+// and starts the next dealer round
+const showdownAndRefresh = (PG) => {
+  const potResults = showdown(PG);
+  PG.message = potResultsToStr(PG, potResults);
+  refreshDealerRound(PG);
+};
+
+// this function handles the dealer rounds, action rounds, and showdown once a player has acted
+const handleGameFlow = (PG) => {
+  // check if dealer round is done. comes before action round
+  // because of edge case where one player checks and all others fold.
+  if (checkDealerRoundEndingCondition(PG)) {
+    refreshDealerRound(PG);
+    return;
+  }
+  if (!checkActionRoundEndingCondition(PG)) {
+    return;
+  }
+
+  // the difference on the river (or seventh street in stud) is the opportunity for a showdown
+  if (PG.actionRoundState === getLastActionRound(PG)) {
+    showdownAndRefresh(PG);
+    return;
+  }
+
+  // if everyone left is all-in, the rest of the board is dealt without more betting,
+  // once the players have agreed on how many times to run it
+  if (checkAllInRunOut(PG)) {
+    if (!offerRunItTwice(PG)) {
+      PG.allInRunOut = true;
+    }
+    return;
+  }
+
+  // if not, deal the flop, turn or river, or the next stud street
+  dealNextStreet(PG);
+  // remaining code that is the same between each action round
+  refreshActionRound(PG);
+  PG.actionRoundState += 1;
+};
+
+// once nobody can bet anymore, every hand is face up and the remaining streets are dealt one
+// at a time so that everyone can follow along. Each step deals the next street, or shows down
+// once the board is complete. The run-out is over once PG.allInRunOut is false again, unless
+// the blinds of the next dealer round leave nobody to bet against either
+const runOutStep = (PG) => {
+  if (PG.actionRoundState < getLastActionRound(PG)) {
+    dealNextStreet(PG);
+    PG.actionRoundState += 1;
+    return;
+  }
+  showdownAndRefresh(PG);
+};
+
+// the chips the player still has to put in to match the bet of the action round
+const calculateAmountOwed = (PG, player) => Math.max(PG.previousBet - player.potCommitment, 0);
+
+// an action round ends once every player who can still act has acted since the last full raise
+// and owes nothing. All-in players can't act anymore, so they don't hold it up
+const checkActionRoundEndingCondition = (PG) => PG.playerObjectArray
+  .filter((player) => player.inGame && !player.allIn)
+  .every((player) => player.hasActed && calculateAmountOwed(PG, player) === 0);
+
+// this function will end the dealer round when everyone except one person has folded.
+// That person will win the pot. This is one of two ways a dealer round can end;
+// the other is with a showdown, which has its own function.
+const checkDealerRoundEndingCondition = (PG) => {
+  const playersInHand = PG.playerObjectArray.filter((player) => player.inGame);
+  if (playersInHand.length === 1) {
+    // the last bet nobody called goes back first, and the winner takes the rest of the pot
+    const uncalledBet = returnUncalledBet(PG);
+    playersInHand[0].stack += PG.pot;
+    logHandEvent(PG, {
+      type: 'collect',
+      run: null,
+      playerID: playersInHand[0].ID,
+      amount: PG.pot,
+      potIndex: 0,
+      potCount: 1,
+    });
+    PG.message = uncalledBet.amount > 0
+      ? `Player ${playersInHand[0].ID} takes back $${convertToDollars(uncalledBet.amount)} uncalled\n`
+      : '';
+    PG.message += `Player ${playersInHand[0].ID} wins $${convertToDollars(PG.pot)}`;
+    PG.pot = 0;
+    return true;
+  }
+
+  // dealer round didn't end
+  return false;
+};
+
+// this function restarts the following action round
+const refreshActionRound = (PG) => {
+  // clear pot commitment and action states; cards remain the same; reset PG.minraise.
+  // nobody has acted in the new action round yet
+  for (let i = 0; i < PG.playerObjectArray.length; i += 1) {
+    PG.playerObjectArray[i].potCommitment = 0;
+    PG.playerObjectArray[i].actionState = '';
+    PG.playerObjectArray[i].hasActed = false;
+  }
+  PG.previousBet = 0;
+  PG.raiseCount = 0;
+  // called before actionRoundState moves on, so the new action round is the next one
+  PG.minRaise = calculateBetUnit(PG, PG.actionRoundState + 1);
+
+  // action in remaining three rounds begins with the first player after the dealer. Heads-up,
+  // that's the big blind, so the dealer acts last. In stud, the best hand showing opens instead
+  if (PG.gameType === 'stud') {
+    PG.turn = findStudOpener(PG);
+  } else {
+    PG.turn = PG.dealer;
+    incrementTurn(PG);
+  }
+  findNextPlayer(PG);
+};
+
+// this function restarts the following dealer round
+const refreshDealerRound = (PG) => {
+  finishHandLog(PG, revealServerSeed(PG));
+
+  // refresh all these variables.
+  for (let i = 0; i < PG.playerObjectArray.length; i += 1) {
+    PG.playerObjectArray[i].potCommitment = 0;
+    PG.playerObjectArray[i].totalCommitment = 0;
+    PG.playerObjectArray[i].anteCommitment = 0;
+    PG.playerObjectArray[i].actionState = '';
+    PG.playerObjectArray[i].cards = [[], []];
+    PG.playerObjectArray[i].upCards = [];
+    PG.playerObjectArray[i].allIn = false;
+    PG.playerObjectArray[i].inGame = true;
+
+    // If a player lost their money, they stay out;
+    // buy back or leave table functionality not included
+
+    // DOUBLE CHECK THIS when showdown and side-pot parts are developed
+    if (PG.playerObjectArray[i].stack === 0) {
+      PG.playerObjectArray[i].inGame = false;
+    }
+  }
+
+  // move the button and the blinds, skipping busted players, clear the board
+  // and declare the dealer
+  moveButtonAndBlinds(PG);
+  PG.actionRoundState = 0;
+  PG.allInRunOut = false;
+  PG.board = ['', '', '', '', ''];
+  PG.boards = [];
+  PG.runCount = 1;
+  announceDealer(PG);
+
+  // the cards wait until the player after the big blind has decided on the straddle
+  if (offerStraddle(PG)) {
+    return;
+  }
+  dealDealerRound(PG);
+};
+
+// picks a random player to begin as the first dealer and deals the first dealer round
+const startGame = (PG) => {
+  PG.dealer = randomBelow(getRandom(PG, 'dealer'), PG.playerObjectArray.length);
+  PG.gameUnderway = true;
+  assignBlindsFromDealer(PG);
+  PG.actionRoundState = 0;
+  announceDealer(PG);
+
+  // the cards wait until the player after the big blind has decided on the straddle
+  if (offerStraddle(PG)) {
+    return;
+  }
+  dealDealerRound(PG);
+};
+
+// builds a new full deck, deals cards to the players and posts the forced bets for the dealer round
+const dealDealerRound = (PG) => {
+  PG.handNumber += 1;
+  buildDeck(PG);
+  PG.message += `\nHand ${PG.handNumber} is dealt from the deck committed to as `
+    + `${PG.handCommitment.commitment}`;
+  startHandLog(PG);
+  dealCards(PG);
+
+  // post blinds, or antes and the bring-in in stud
+  if (PG.gameType === 'stud') {
+    postAntesAndBringIn(PG);
+  } else {
+    postBlinds(PG);
+  }
+
+  // short stacks posting blinds all-in can leave nobody to bet against
+  PG.allInRunOut = checkAllInRunOut(PG);
+};
+
+// with straddles on, the player after the big blind gets to straddle before the cards are dealt.
+// Stud has no blinds, and heads-up the player after the big blind is the small blind, so neither
+// gets the offer. Returns whether the straddle was offered, in which case it's the turn of the
+// player deciding on it
+const offerStraddle = (PG) => {
+  PG.straddleSeat = -1;
+  PG.straddleOffered = PG.straddleEnabled && PG.gameType !== 'stud' && !checkHeadsUp(PG);
+  if (PG.straddleOffered) {
+    PG.turn = findNextSeatWithChips(PG, PG.bigBlindSeat);
+    PG.message += `\nPlayer ${PG.playerObjectArray[PG.turn].ID}, would you like to straddle `
+      + `for $${convertToDollars(2 * PG.bigBlind)}?`;
+  }
+  return PG.straddleOffered;
+};
+
+// records the decision of the player that was offered the straddle and deals the dealer round
+const decideStraddle = (PG, straddle) => {
+  PG.straddleOffered = false;
+  PG.straddleSeat = straddle ? PG.turn : -1;
+  dealDealerRound(PG);
+};
+
+module.exports = {
+  calculatePots,
+  potName,
+  rankShowdownHands,
+  splitPotBetweenRuns,
+  findUncalledBet,
+  returnUncalledBet,
+  showdown,
+  getRandom,
+  deckToStr,
+  commitDeck,
+  shuffleDeck,
+  setClientSeed,
+  buildDeck,
+  revealServerSeed,
+  verifyHand,
+  logHandEvent,
+  startHandLog,
+  logPlayerAction,
+  finishHandLog,
+  countHoleCards,
+  dealStudStreet,
+  dealCards,
+  incrementTurn,
+  checkHeadsUp,
+  findNextSeatWithChips,
+  assignBlindsFromDealer,
+  moveButtonAndBlinds,
+  announceDealer,
+  calculateBetUnit,
+  checkRaiseCapReached,
+  postAntes,
+  postBlinds,
+  findBringInSeat,
+  rankUpCards,
+  findStudOpener,
+  postAntesAndBringIn,
+  addToBoard,
+  flop,
+  dealNextStreet,
+  getLastActionRound,
+  checkAllInRunOut,
+  findNextSeatInHand,
+  offerRunItTwice,
+  decideRunCount,
+  beautifyCard,
+  calculateMaxBet,
+  convertToDollars,
+  convertToCents,
+  potResultsToStr,
+  getLegalActions,
+  validatePlayerAction,
+  handlePlayerAction,
+  playTurn,
+  calculateAmountOwed,
+  showdownAndRefresh,
+  handleGameFlow,
+  runOutStep,
+  checkActionRoundEndingCondition,
+  checkDealerRoundEndingCondition,
+  refreshActionRound,
+  refreshDealerRound,
+  startGame,
+  dealDealerRound,
+  offerStraddle,
+  decideStraddle,
+  findNextPlayer,
+  straightFlush,
+  returnHandRank,
+  bestOmahaHandRank,
+  DECKS,
+  getDeck,
+  orderedDeck,
+  rankToHandStr,
+};
@@ -0,0 +1,222 @@
+/* eslint-disable no-bitwise */
+// evaluates the best five-card hand out of five, six or seven cards at once, instead of ranking
+// every five-card combination. The cards' ranks are kept as bitmasks, one bit per card value,
+// for the whole hand and for each suit, so that flushes and straights are found with a mask and
+// a table lookup, and pairs, trips and quads with a count per card value.
+//
+// A hand's strength is an integer: its category's position in the deck's hand ranking, followed
+// by up to five card values that break ties, four bits each. Bigger strengths are better hands,
+// and equal strengths tie. They hold the same numbers as the rank arrays returnHandRank makes
+
+const SUITS = {
+  S: 0, C: 1, D: 2, H: 3,
+};
+
+// what the category and each of the five card values are worth in a strength
+const PLACES = [0x100000, 0x10000, 0x1000, 0x100, 0x10, 1];
+
+// card values 2 to 14 (ace) take bits 0 to 12
+const cardBit = (num) => 1 << (num - 2);
+
+// the highest straight in a mask of card values, as the value of its high card, or 0.
+// In a wheel the ace plays low, so the second card is its high card
+const findStraightHigh = (mask, deck) => {
+  for (let high = 14; high >= deck.lowestCard + 4; high -= 1) {
+    const straightMask = 0x1F << (high - 6);
+    if ((mask & straightMask) === straightMask) {
+      return high;
+    }
+  }
+  const wheelMask = deck.wheel.reduce((wheel, num) => wheel | cardBit(num), 0);
+  return (mask & wheelMask) === wheelMask ? deck.wheel[1] : 0;
+};
+
+// the values of the n highest cards in the mask, as one hexadecimal digit each
+const highCards = (mask, n) => {
+  let values = 0;
+  let found = 0;
+  for (let bit = 12; bit >= 0 && found < n; bit -= 1) {
+    if (mask & (1 << bit)) {
+      values = values * 16 + bit + 2;
+      found += 1;
+    }
+  }
+  return values;
+};
+
+// what's been counted in the hand being evaluated. Reused for every hand so that evaluating one
+// doesn't allocate anything
+const hand = {
+  rankCounts: new Uint8Array(15),
+  suitMasks: new Int32Array(4),
+  suitCounts: new Uint8Array(4),
+  rankMask: 0,
+  flushMask: 0,
+  quads: 0,
+  trips: 0,
+  secondTrips: 0,
+  pair: 0,
+  secondPair: 0,
+};
+
+// a strength out of the category and the values of its first count tie-breaking cards
+const toStrength = (category, values, count) => category * PLACES[0] + values * PLACES[count];
+
+// each category returns the strength of the best hand of that category, or -1 if the hand
+// doesn't have one
+const CATEGORIES = {
+  'Straight Flush': (category, tables) => {
+    const high = hand.flushMask && tables.straightHigh[hand.flushMask];
+    return high ? toStrength(category, high, 1) : -1;
+  },
+  'Four of a Kind': (category) => {
+    if (!hand.quads) {
+      return -1;
+    }
+    const kicker = highCards(hand.rankMask & ~cardBit(hand.quads), 1);
+    return toStrength(category, hand.quads * 16 + kicker, 2);
+  },
+  'Full House': (category) => {
+    const pair = Math.max(hand.secondTrips, hand.pair);
+    return hand.trips && pair ? toStrength(category, hand.trips * 16 + pair, 2) : -1;
+  },
+  Flush: (category) => (hand.flushMask
+    ? toStrength(category, highCards(hand.flushMask, 5), 5)
+    : -1),
+  Straight: (category, tables) => {
+    const high = tables.straightHigh[hand.rankMask];
+    return high ? toStrength(category, high, 1) : -1;
+  },
+  'Three of a Kind': (category) => {
+    if (!hand.trips) {
+      return -1;
+    }
+    const kickers = highCards(hand.rankMask & ~cardBit(hand.trips), 2);
+    return toStrength(category, hand.trips * 0x100 + kickers, 3);
+  },
+  'Two Pair': (category) => {
+    if (!hand.secondPair) {
+      return -1;
+    }
+    const kicker = highCards(hand.rankMask & ~cardBit(hand.pair) & ~cardBit(hand.secondPair), 1);
+    return toStrength(category, hand.pair * 0x100 + hand.secondPair * 16 + kicker, 3);
+  },
+  Pair: (category) => {
+    if (!hand.pair) {
+      return -1;
+    }
+    const kickers = highCards(hand.rankMask & ~cardBit(hand.pair), 3);
+    return toStrength(category, hand.pair * 0x1000 + kickers, 4);
+  },
+  'High Card': (category) => toStrength(category, highCards(hand.rankMask, 5), 5),
+};
+
+// the straights of every mask of card values and the categories from best to worst, worked out
+// once for each deck
+const deckTables = new Map();
+const getDeckTables = (deck) => {
+  if (!deckTables.has(deck)) {
+    const straightHigh = new Uint8Array(1 << 13);
+    for (let mask = 0; mask < straightHigh.length; mask += 1) {
+      straightHigh[mask] = findStraightHigh(mask, deck);
+    }
+    const categories = deck.handRanking
+      .map((name, category) => ({ category, check: CATEGORIES[name] }))
+      .reverse();
+    deckTables.set(deck, { straightHigh, categories });
+  }
+  return deckTables.get(deck);
+};
+
+// counts the cards of the hand by value and by suit
+const countCards = (cards) => {
+  hand.rankCounts.fill(0);
+  hand.suitMasks.fill(0);
+  hand.suitCounts.fill(0);
+  hand.rankMask = 0;
+  for (let i = 0; i < cards.length; i += 1) {
+    const num = cards[i][0];
+    const suit = SUITS[cards[i][1]];
+    hand.rankCounts[num] += 1;
+    hand.suitMasks[suit] |= cardBit(num);
+    hand.suitCounts[suit] += 1;
+    hand.rankMask |= cardBit(num);
+  }
+
+  // seven cards can only make one flush
+  hand.flushMask = 0;
+  for (let suit = 0; suit < 4; suit += 1) {
+    if (hand.suitCounts[suit] >= 5) {
+      hand.flushMask = hand.suitMasks[suit];
+    }
+  }
+
+  // the highest quads, the two highest trips and the two highest pairs
+  hand.quads = 0;
+  hand.trips = 0;
+  hand.secondTrips = 0;
+  hand.pair = 0;
+  hand.secondPair = 0;
+  for (let num = 14; num >= 2; num -= 1) {
+    const count = hand.rankCounts[num];
+    if (count === 4 && !hand.quads) {
+      hand.quads = num;
+    } else if (count === 3 && !hand.trips) {
+      hand.trips = num;
+    } else if (count === 3 && !hand.secondTrips) {
+      hand.secondTrips = num;
+    } else if (count === 2 && !hand.pair) {
+      hand.pair = num;
+    } else if (count === 2 && !hand.secondPair) {
+      hand.secondPair = num;
+    }
+  }
+};
+
+// returns the strength of the best five-card hand out of five to seven cards, ranked the way the
+// deck ranks them (see DECKS in gameFunctions)
+const evaluateHand = (cards, deck) => {
+  const tables = getDeckTables(deck);
+  countCards(cards);
+  for (let i = 0; i < tables.categories.length; i += 1) {
+    const { category, check } = tables.categories[i];
+    const strength = check(category, tables);
+    if (strength !== -1) {
+      return strength;
+    }
+  }
+
+  // unreachable, since every hand is at least a high card
+  return -1;
+};
+
+// returns the strength of the best Omaha hand, which has to be made of exactly two of the hole
+// cards and three of the board cards
+const evaluateOmahaHand = (holeCards, board, deck) => {
+  const fiveCards = new Array(5);
+  let bestStrength = -1;
+  for (let a = 0; a < holeCards.length; a += 1) {
+    for (let b = a + 1; b < holeCards.length; b += 1) {
+      [fiveCards[0], fiveCards[1]] = [holeCards[a], holeCards[b]];
+      for (let c = 0; c < board.length; c += 1) {
+        for (let d = c + 1; d < board.length; d += 1) {
+          for (let e = d + 1; e < board.length; e += 1) {
+            [fiveCards[2], fiveCards[3], fiveCards[4]] = [board[c], board[d], board[e]];
+            bestStrength = Math.max(bestStrength, evaluateHand(fiveCards, deck));
+          }
+        }
+      }
+    }
+  }
+  return bestStrength;
+};
+
+// turns a strength into the rank array returnHandRank would make for the same hand:
+// its category followed by the five tie-breaking card values
+const strengthToRank = (strength) => PLACES.map((place) => Math.floor(strength / place) % 16);
+
+module.exports = {
+  evaluateHand,
+  evaluateOmahaHand,
+  strengthToRank,
+};
@@ -0,0 +1,460 @@
+// writes the hands logged in PG.handHistories out as text in the PokerStars hand history format,
+// which hand trackers and replayers read. The house sees every hand, so every player's hole cards
+// are dealt to them in the history
+
+const RANKS = {
+  10: 'T', 11: 'J', 12: 'Q', 13: 'K', 14: 'A',
+};
+
+const GAME_NAMES = {
+  holdem: 'Hold\'em',
+  'short-deck': '6+ Hold\'em',
+  omaha: 'Omaha',
+  stud: '7 Card Stud',
+};
+
+const BETTING_STRUCTURE_NAMES = {
+  'no-limit': 'No Limit',
+  'pot-limit': 'Pot Limit',
+  'fixed-limit': 'Limit',
+};
+
+// the headings of every street, and how the summary says when a player folded
+const STREETS = {
+  board: {
+    headings: ['HOLE CARDS', 'FLOP', 'TURN', 'RIVER'],
+    folds: ['before Flop', 'on the Flop', 'on the Turn', 'on the River'],
+  },
+  stud: {
+    headings: ['3rd STREET', '4th STREET', '5th STREET', '6th STREET', 'RIVER'],
+    folds: ['on the 3rd Street', 'on the 4th Street', 'on the 5th Street', 'on the 6th Street',
+      'on the River'],
+  },
+};
+
+const RUNS = ['FIRST', 'SECOND', 'THIRD', 'FOURTH', 'FIFTH', 'SIXTH', 'SEVENTH', 'EIGHTH'];
+
+const cardToStr = (card) => `${RANKS[card[0]] || card[0]}${card[1].toLowerCase()}`;
+
+const cardsToStr = (cards) => `[${cards.map(cardToStr).join(' ')}]`;
+
+const moneyToStr = (cents) => (cents % 100 === 0
+  ? `$${cents / 100}`
+  : `$${(cents / 100).toFixed(2)}`);
+
+// hands imported from elsewhere keep their players' names
+const playerName = (hand, playerID) => {
+  const seat = hand.seats.find((eachSeat) => eachSeat.playerID === playerID);
+  return seat && seat.name ? seat.name : `Player ${playerID}`;
+};
+
+const allInToStr = (event) => (event.allIn ? ' and is all-in' : '');
+
+// 2026-10-19T08:03:22.000Z -> 2026/10/19 08:03:22 UTC
+const dateToStr = (isoDate) => `${isoDate.slice(0, 10).replace(/-/g, '/')} `
+  + `${isoDate.slice(11, 19)} UTC`;
+
+const runToStr = (run) => (run === null ? '' : `${RUNS[run] || `RUN ${run + 1}`} `);
+
+const postToStr = (name, event) => {
+  const amount = moneyToStr(event.amount);
+  if (event.kind === 'bring-in') {
+    return `${name}: brings in for ${amount}${allInToStr(event)}`;
+  }
+  const kind = event.kind === 'ante' ? 'the ante' : event.kind;
+  return `${name}: posts ${kind} ${amount}${allInToStr(event)}`;
+};
+
+const actionToStr = (name, event) => {
+  switch (event.action) {
+    case 'folds':
+    case 'checks':
+      return `${name}: ${event.action}`;
+    case 'calls':
+      return `${name}: calls ${moneyToStr(event.amount)}${allInToStr(event)}`;
+    case 'bets':
+      return `${name}: bets ${moneyToStr(event.raiseTo)}${allInToStr(event)}`;
+    case 'completes':
+      return `${name}: completes it to ${moneyToStr(event.raiseTo)}${allInToStr(event)}`;
+    default:
+      return `${name}: raises ${moneyToStr(event.raiseBy)} to ${moneyToStr(event.raiseTo)}`
+        + `${allInToStr(event)}`;
+  }
+};
+
+const potToStr = (event) => {
+  if (event.potCount === 1) {
+    return 'pot';
+  }
+  return event.potIndex === 0 ? 'main pot' : `side pot-${event.potIndex}`;
+};
+
+// writes out a single event of the hand the way the hand history does, except that deals and
+// streets only show the cards that were just dealt
+const handEventToStr = (hand, event) => {
+  const name = playerName(hand, event.playerID);
+  const streets = hand.gameType === 'stud' ? STREETS.stud : STREETS.board;
+  switch (event.type) {
+    case 'deal':
+      return event.playerID === null
+        ? `The board is ${cardsToStr(event.cards)}`
+        : `Dealt to ${name} ${cardsToStr(event.cards)}`;
+    case 'post':
+      return postToStr(name, event);
+    case 'action':
+      return actionToStr(name, event);
+    case 'street': {
+      const heading = `*** ${runToStr(event.run)}${streets.headings[event.street]} ***`;
+      return event.cards.length > 0 ? `${heading} ${cardsToStr(event.cards)}` : heading;
+    }
+    case 'show':
+      return `${name}: shows ${cardsToStr(event.cards)}${event.hand ? ` (${event.hand})` : ''}`;
+    case 'collect':
+      return `${name} collected ${moneyToStr(event.amount)} from ${potToStr(event)}`;
+    case 'return':
+      return `Uncalled bet (${moneyToStr(event.amount)}) returned to ${name}`;
+    default:
+      return '';
+  }
+};
+
+// every card dealt in the hand, in the order it came off the deck
+const listDealtCards = (hand) => hand.events
+  .filter((event) => event.type === 'deal' || event.type === 'street')
+  .reduce((cards, event) => cards.concat(event.cards), []);
+
+// writes out one hand logged by the engine
+const handHistoryToStr = (hand) => {
+  const streets = hand.gameType === 'stud' ? STREETS.stud : STREETS.board;
+  const seatedIDs = hand.seats.map((seat) => seat.playerID);
+  const isSeated = (event) => seatedIDs.includes(event.playerID);
+  const lines = [];
+  // what the summary needs to know about every player
+  const results = {};
+  seatedIDs.forEach((playerID) => {
+    results[playerID] = {
+      cards: [], shown: null, hand: null, won: 0, foldedOn: null,
+    };
+  });
+  const boards = [];
+  const pots = [];
+  let street = 0;
+
+  const stakes = hand.gameType === 'stud'
+    ? `${moneyToStr(hand.bigBlind)}/${moneyToStr(2 * hand.bigBlind)}`
+    : `${moneyToStr(hand.smallBlind)}/${moneyToStr(hand.bigBlind)}`;
+  lines.push(`PokerStars Hand #${hand.handNumber}: ${GAME_NAMES[hand.gameType]} `
+    + `${BETTING_STRUCTURE_NAMES[hand.bettingStructure]} (${stakes} USD) - `
+    + `${dateToStr(hand.startedAt)}`);
+  // stud has no button
+  lines.push(hand.gameType === 'stud'
+    ? 'Table \'PokerBirds\' 8-max'
+    : `Table 'PokerBirds' 8-max Seat #${hand.buttonSeat} is the button`);
+  hand.seats.forEach((seat) => {
+    lines.push(`Seat ${seat.playerID}: ${playerName(hand, seat.playerID)} `
+      + `(${moneyToStr(seat.stack)} in chips)`);
+  });
+
+  // antes, blinds and straddles are posted before the cards are dealt, and the bring-in after
+  const isPostedFirst = (event) => event.type === 'post' && event.kind !== 'bring-in';
+  hand.events.filter(isPostedFirst).forEach((event) => {
+    lines.push(handEventToStr(hand, event));
+  });
+  lines.push(`*** ${streets.headings[0]} ***`);
+
+  hand.events.filter((event) => !isPostedFirst(event)).forEach((event) => {
+    const result = results[event.playerID];
+    switch (event.type) {
+      case 'deal':
+        if (event.playerID === null) {
+          lines.push(handEventToStr(hand, event));
+        } else if (isSeated(event)) {
+          lines.push(`Dealt to ${playerName(hand, event.playerID)} `
+            + `${result.cards.length > 0 ? `${cardsToStr(result.cards)} ` : ''}`
+            + `${cardsToStr(event.cards)}`);
+          result.cards = result.cards.concat(event.cards);
+        }
+        break;
+      case 'post':
+      case 'return':
+        lines.push(handEventToStr(hand, event));
+        break;
+      case 'action':
+        lines.push(handEventToStr(hand, event));
+        if (event.action === 'folds') {
+          result.foldedOn = streets.folds[street];
+        }
+        break;
+      case 'street': {
+        street = event.street;
+        const heading = `*** ${runToStr(event.run)}${streets.headings[street]} ***`;
+        if (hand.gameType === 'stud') {
+          lines.push(heading);
+          break;
+        }
+        const previousCards = event.board.slice(0, event.board.length - event.cards.length);
+        lines.push(previousCards.length > 0
+          ? `${heading} ${cardsToStr(previousCards)} ${cardsToStr(event.cards)}`
+          : `${heading} ${cardsToStr(event.cards)}`);
+        boards[event.run || 0] = event.board;
+        break;
+      }
+      case 'show':
+        if (!lines.some((line) => line === `*** ${runToStr(event.run)}SHOW DOWN ***`)) {
+          lines.push(`*** ${runToStr(event.run)}SHOW DOWN ***`);
+        }
+        lines.push(handEventToStr(hand, event));
+        result.shown = event.cards;
+        result.hand = event.run === null ? event.hand : null;
+        break;
+      case 'collect':
+        lines.push(handEventToStr(hand, event));
+        result.won += event.amount;
+        pots[event.potIndex] = (pots[event.potIndex] || 0) + event.amount;
+        break;
+      default:
+        break;
+    }
+  });
+
+  lines.push('*** SUMMARY ***');
+  const totalPot = pots.reduce((total, pot) => total + (pot || 0), 0);
+  const sidePots = pots.slice(1).map((pot, i) => ` Side pot-${i + 1} ${moneyToStr(pot)}.`);
+  lines.push(pots.length > 1
+    ? `Total pot ${moneyToStr(totalPot)} Main pot ${moneyToStr(pots[0])}.${sidePots.join('')}`
+      + ' | Rake $0'
+    : `Total pot ${moneyToStr(totalPot)} | Rake $0`);
+  if (boards.length === 1) {
+    lines.push(`Board ${cardsToStr(boards[0])}`);
+  } else if (boards.length > 1) {
+    lines.push(`Hand was run ${boards.length === 2 ? 'twice' : `${boards.length} times`}`);
+    boards.forEach((board, run) => {
+      lines.push(`${runToStr(run)}Board ${cardsToStr(board)}`);
+    });
+  }
+
+  hand.seats.forEach((seat) => {
+    const result = results[seat.playerID];
+    const button = seat.playerID === hand.buttonSeat && hand.gameType !== 'stud'
+      ? ' (button)'
+      : '';
+    let outcome;
+    if (result.foldedOn !== null) {
+      outcome = `folded ${result.foldedOn}`;
+    } else if (result.shown !== null) {
+      const withHand = result.hand !== null ? ` with ${result.hand}` : '';
+      outcome = result.won > 0
+        ? `showed ${cardsToStr(result.shown)} and won (${moneyToStr(result.won)})${withHand}`
+        : `showed ${cardsToStr(result.shown)} and lost${withHand}`;
+    } else {
+      outcome = `collected (${moneyToStr(result.won)})`;
+    }
+    lines.push(`Seat ${seat.playerID}: ${playerName(hand, seat.playerID)}${button} ${outcome}`);
+  });
+
+  return lines.join('\n');
+};
+
+// writes out a list of hands, separated by blank lines the way hand history files are
+const handHistoriesToStr = (hands) => hands.map(handHistoryToStr).join('\n\n\n');
+
+// --- READING HAND HISTORIES ---
+// hand histories in the PokerStars format, ours or from elsewhere, are read back into hands like
+// the ones the engine logs, so that they can be replayed. Players are known by their seat number
+
+// finds the key of the name, as in the names above
+const findNameKey = (names, name) => Object.keys(names).find((key) => names[key] === name);
+
+// Ah -> [14, 'H']
+const strToCard = (str) => {
+  const rank = findNameKey(RANKS, str[0].toUpperCase());
+  return [rank ? Number(rank) : Number(str.slice(0, -1)), str.slice(-1).toUpperCase()];
+};
+
+// [Ah Kd] [5c] -> every bracketed group of cards, in order
+const strToCardGroups = (str) => (str.match(/\[[^\]]*\]/g) || [])
+  .map((group) => group.slice(1, -1).split(' ').filter((card) => card !== '').map(strToCard));
+
+// $1,000.50 -> 100050
+const strToMoney = (str) => Math.round(Number(str.replace(/[$,]/g, '')) * 100);
+
+// 2026/10/19 8:03:22 -> 2026-10-19T08:03:22.000Z, whatever time zone it was in
+const strToDate = (date, time) => `${date.replace(/\//g, '-')}T${time.padStart(8, '0')}.000Z`;
+
+// reads the first hand of a hand history. Throws an error if it isn't a hand that can be replayed
+const parseHandHistory = (text) => {
+  const lines = text.split('\n').map((line) => line.trim()).filter((line) => line !== '');
+  const header = (lines[0] || '').match(/^PokerStars Hand #(\d+): +(.+?) (No Limit|Pot Limit|Limit) \(([^/]+)\/([^ )]+).*?\) - (\d{4}\/\d{2}\/\d{2}) (\d{1,2}:\d{2}:\d{2})/);
+  if (!header) {
+    throw new Error(`This isn't the start of a hand: ${lines[0]}`);
+  }
+  const gameType = findNameKey(GAME_NAMES, header[2]);
+  if (!gameType) {
+    throw new Error(`${header[2]} hands can't be replayed.`);
+  }
+  const isStud = gameType === 'stud';
+  const streets = isStud ? STREETS.stud : STREETS.board;
+  if (lines.length < 2) {
+    throw new Error(`Hand #${header[1]} ends before its table line.`);
+  }
+  const button = lines[1].match(/Seat #(\d+) is the button/);
+  const hand = {
+    handNumber: Number(header[1]),
+    startedAt: strToDate(header[6], header[7]),
+    gameType,
+    bettingStructure: findNameKey(BETTING_STRUCTURE_NAMES, header[3]),
+    smallBlind: isStud ? 0 : strToMoney(header[4]),
+    bigBlind: strToMoney(isStud ? header[4] : header[5]),
+    buttonSeat: button ? Number(button[1]) : null,
+    seats: [],
+    events: [],
+    fairness: null,
+  };
+
+  // the lines about a player start with their name, longer names first in case one starts another
+  const findPlayer = (line) => hand.seats
+    .filter((seat) => line.startsWith(seat.name))
+    .sort((a, b) => b.name.length - a.name.length)[0];
+  // what each player has put in during the street, which raises and completions are on top of
+  let committed = {};
+  let run = null;
+
+  for (let i = 1; i < lines.length; i += 1) {
+    const line = lines[i];
+    const seatLine = line.match(/^Seat (\d+): (.+?) \((\S+) in chips/);
+    const headingLine = line.match(/^\*\*\* (?:([A-Z]+) (?=FLOP|TURN|RIVER|SHOW DOWN))?(.+?) \*\*\*(.*)$/);
+    const returnLine = line.match(/^Uncalled bet \((\S+)\) returned to (.+)$/);
+    if (headingLine && headingLine[2] === 'SUMMARY') {
+      break;
+    }
+
+    if (seatLine && hand.events.length === 0) {
+      hand.seats.push({
+        playerID: Number(seatLine[1]),
+        name: seatLine[2],
+        stack: strToMoney(seatLine[3]),
+      });
+    } else if (headingLine) {
+      run = headingLine[1] ? RUNS.indexOf(headingLine[1]) : null;
+      const street = streets.headings.indexOf(headingLine[2]);
+      if (street > 0) {
+        const cardGroups = strToCardGroups(headingLine[3]);
+        hand.events.push({
+          type: 'street',
+          street,
+          run,
+          cards: isStud ? [] : cardGroups[cardGroups.length - 1],
+          board: isStud ? [] : [].concat(...cardGroups),
+        });
+        committed = {};
+      }
+    } else if (returnLine) {
+      const seat = findPlayer(returnLine[2]);
+      hand.events.push({
+        type: 'return',
+        run,
+        playerID: seat.playerID,
+        amount: strToMoney(returnLine[1]),
+        potIndex: 0,
+        potCount: 1,
+      });
+    } else if (line.startsWith('Dealt to ') && findPlayer(line.slice(9))) {
+      const cardGroups = strToCardGroups(line);
+      hand.events.push({
+        type: 'deal',
+        playerID: findPlayer(line.slice(9)).playerID,
+        cards: cardGroups[cardGroups.length - 1],
+      });
+    } else if (findPlayer(line)) {
+      const seat = findPlayer(line);
+      const { playerID } = seat;
+      const said = line.slice(seat.name.length);
+      const allIn = said.includes('and is all-in');
+      const already = committed[playerID] || 0;
+      const post = said.match(/^: posts (small blind|big blind|the ante|straddle) (\S+)/);
+      const bringIn = said.match(/^: brings in for (\S+)/);
+      const bet = said.match(/^: (calls|bets) (\S+)/);
+      const raise = said.match(/^: (?:raises (\S+) to|completes it to) (\S+)/);
+      const show = said.match(/^: shows (\[[^\]]*\])(?: \((.+)\))?/);
+      const collect = said.match(/^ collected (\S+) from (.+?)$/);
+
+      if (post || bringIn) {
+        const kind = post ? post[1].replace('the ', '') : 'bring-in';
+        const amount = strToMoney(post ? post[2] : bringIn[1]);
+        if (kind !== 'ante') {
+          committed[playerID] = already + amount;
+        }
+        if (kind === 'bring-in') {
+          hand.smallBlind = amount;
+        }
+        hand.events.push({
+          type: 'post', playerID, kind, amount, allIn,
+        });
+      } else if (said.startsWith(': folds') || said.startsWith(': checks')) {
+        hand.events.push({
+          type: 'action', playerID, action: said.slice(2).split(' ')[0], allIn,
+        });
+      } else if (bet) {
+        const amount = strToMoney(bet[2]);
+        committed[playerID] = already + amount;
+        const event = {
+          type: 'action', playerID, action: bet[1], amount, allIn,
+        };
+        if (bet[1] === 'bets') {
+          event.raiseTo = already + amount;
+          event.raiseBy = amount;
+        }
+        hand.events.push(event);
+      } else if (raise) {
+        const raiseTo = strToMoney(raise[2]);
+        committed[playerID] = raiseTo;
+        hand.events.push({
+          type: 'action',
+          playerID,
+          action: raise[1] ? 'raises' : 'completes',
+          amount: raiseTo - already,
+          raiseTo,
+          raiseBy: raise[1] ? strToMoney(raise[1]) : raiseTo - already,
+          allIn,
+        });
+      } else if (show) {
+        hand.events.push({
+          type: 'show',
+          run,
+          playerID,
+          cards: strToCardGroups(show[1])[0],
+          hand: show[2] || null,
+        });
+      } else if (collect) {
+        const pot = collect[2].match(/side pot-(\d+)/);
+        hand.events.push({
+          type: 'collect',
+          run,
+          playerID,
+          amount: strToMoney(collect[1]),
+          potIndex: pot ? Number(pot[1]) : 0,
+          potCount: collect[2].startsWith('pot') ? 1 : 2,
+        });
+      }
+    }
+  }
+
+  return hand;
+};
+
+// reads every hand of a hand history file, which separates them with blank lines
+const parseHandHistories = (text) => text
+  .replace(/^\uFEFF/, '')
+  .replace(/\r/g, '')
+  .split(/\n\s*\n/)
+  .filter((block) => block.trim().startsWith('PokerStars Hand #'))
+  .map((block) => parseHandHistory(block.trim()));
+
+module.exports = {
+  listDealtCards,
+  handEventToStr,
+  handHistoryToStr,
+  handHistoriesToStr,
+  parseHandHistory,
+  parseHandHistories,
+};
@@ -0,0 +1,120 @@
+const GF = require('./gameFunctions');
+const { Player } = require('./Player');
+
+// --- ACRONYMS ---
+// PG = poker game -> the working copy of the state that the game functions modify
+// GF = game functions
+
+// copies a game state into plain objects, which can be serialized, stored or compared.
+// Player instances lose their methods along the way
+const toPlainState = (PG) => JSON.parse(JSON.stringify(PG));
+
+// copies a plain game state into one the game functions can work on,
+// with player instances that have the player methods again
+const fromPlainState = (state) => {
+  const PG = toPlainState(state);
+  PG.playerObjectArray = PG.playerObjectArray.map(
+    (player) => Object.assign(new Player(player.ID), player),
+  );
+  return PG;
+};
+
+// the lines a transition added to the message. Some transitions start a new message
+// instead of adding to the previous one, in which case all of its lines are new
+const findNewMessages = (before, after) => {
+  const added = after.startsWith(before) ? after.slice(before.length) : after;
+  return added.split('\n').filter((line) => line !== '');
+};
+
+// checks that the action can be taken in the state. Returns { valid: true, playerAction } with
+// the action to take, or { valid: false, error }, the same way GF.validatePlayerAction does
+const validateAction = (state, action) => {
+  if (action[0] === 'start') {
+    return state.gameUnderway
+      ? { valid: false, error: 'The game has already started.' }
+      : { valid: true, playerAction: action };
+  }
+  if (!state.gameUnderway) {
+    return { valid: false, error: 'The game hasn\'t started yet.' };
+  }
+  if (action[0] === 'runOut') {
+    return state.allInRunOut
+      ? { valid: true, playerAction: action }
+      : { valid: false, error: 'There is no board to run out.' };
+  }
+  if (state.allInRunOut) {
+    return { valid: false, error: 'Nobody can act while the board is run out.' };
+  }
+  // players can contribute a seed to the shuffle whenever it's their turn
+  if (action[0] === 'clientSeed') {
+    return typeof action[1] === 'string'
+      ? { valid: true, playerAction: action }
+      : { valid: false, error: 'A seed has to be a string.' };
+  }
+  if (state.straddleOffered !== (action[0] === 'straddle')) {
+    return state.straddleOffered
+      ? { valid: false, error: 'The straddle has to be decided first.' }
+      : { valid: false, error: 'There is no straddle to decide on.' };
+  }
+  if (state.runItOffered !== (action[0] === 'runs')) {
+    return state.runItOffered
+      ? { valid: false, error: 'How many times to run the board has to be decided first.' }
+      : { valid: false, error: 'There is no board to run more than once.' };
+  }
+  if (action[0] === 'straddle') {
+    return { valid: true, playerAction: ['straddle', Boolean(action[1])] };
+  }
+  if (action[0] === 'runs') {
+    return Number.isInteger(action[1]) && action[1] >= 1 && action[1] <= state.runCount
+      ? { valid: true, playerAction: action }
+      : { valid: false, error: `The board can be run from 1 to ${state.runCount} times.` };
+  }
+  return GF.validatePlayerAction(state, action);
+};
+
+// takes a game state and an action, and returns the state after the action along with the
+// events that happened, without modifying the state it was given. Both are plain objects.
+// Actions are arrays, the same as for GF.playTurn:
+//  ['start'] picks the first dealer and deals the first dealer round
+//  ['call'], ['check'], ['fold'] or ['raise', total bet in cents] for the player whose turn it is
+//  ['straddle', bool] and ['runs', number of times] when the straddle or run it twice is offered
+//  ['clientSeed', seed] for the player whose turn it is to contribute a seed to the shuffle
+//  ['runOut'] deals the next street of an all-in run-out, or shows down once the board is complete
+// Events are { type: 'action', playerID, action } for the action taken,
+// { type: 'message', text } for every line added to the message,
+// or a single { type: 'error', text } if the action can't be taken, with the state unchanged
+const applyAction = (state, action) => {
+  const validation = validateAction(state, action);
+  if (!validation.valid) {
+    return { state, events: [{ type: 'error', text: validation.error }] };
+  }
+
+  const PG = fromPlainState(state);
+  const { playerAction } = validation;
+  const events = [];
+
+  if (playerAction[0] === 'start') {
+    GF.startGame(PG);
+  } else if (playerAction[0] === 'runOut') {
+    GF.runOutStep(PG);
+  } else {
+    events.push({
+      type: 'action',
+      playerID: PG.playerObjectArray[PG.turn].ID,
+      action: playerAction,
+    });
+    GF.playTurn(playerAction, PG);
+  }
+
+  findNewMessages(state.message, PG.message).forEach((text) => {
+    events.push({ type: 'message', text });
+  });
+
+  return { state: toPlainState(PG), events };
+};
+
+module.exports = {
+  toPlainState,
+  fromPlainState,
+  applyAction,
+};
@@ -0,0 +1,173 @@
+/* eslint-disable no-param-reassign */
+const { handEventToStr } = require('./handHistory');
+
+// turns a logged or imported hand into the tables it went through, one step at a time, so that
+// it can be stepped through with the same components the game is played with. Each table is
+// a plain game state with replaying set, which turns every hand face up, and a message saying
+// what just happened. The cards all players were dealt at once are a single step
+
+const STUD_LAST_STREET = 4;
+
+// the actionState a forced bet shows, the same as when the engine posts it
+const POST_STATES = {
+  'small blind': 'SB',
+  'big blind': 'BB',
+  straddle: 'STR',
+  'bring-in': 'BI',
+};
+
+const padBoard = (cards) => [...cards, '', '', '', '', ''].slice(0, 5);
+
+// the table before anything is dealt or posted
+const setTable = (hand, deckColor) => ({
+  replaying: true,
+  gameType: hand.gameType,
+  bettingStructure: hand.bettingStructure,
+  deckColor,
+  board: padBoard([]),
+  boards: [],
+  pot: 0,
+  playerObjectArray: hand.seats.map((seat) => ({
+    ID: seat.playerID,
+    name: seat.name || '',
+    stack: seat.stack,
+    cards: [],
+    upCards: [],
+    inGame: true,
+    allIn: false,
+    actionState: '',
+    potCommitment: 0,
+    totalCommitment: 0,
+  })),
+  message: `Hand #${hand.handNumber}`,
+});
+
+// moves chips from the player's stack to the pot. Antes aren't live bets,
+// so they don't count toward what the player has bet on the street
+const commitChips = (table, player, amount, live) => {
+  player.stack -= amount;
+  player.totalCommitment += amount;
+  if (live) {
+    player.potCommitment += amount;
+  }
+  table.pot += amount;
+};
+
+// stud deals two down cards and an up card on third street and the last card down,
+// and every other card up. Hand histories from elsewhere may only show the up cards
+const dealStudCards = (player, cards, street) => {
+  if (street === STUD_LAST_STREET || (street === 0 && cards.length === 2)) {
+    player.cards.push(...cards);
+  } else if (street === 0 && cards.length === 3) {
+    player.cards.push(cards[0], cards[1]);
+    player.upCards.push(cards[2]);
+  } else {
+    player.upCards.push(...cards);
+  }
+};
+
+// changes the table the way the event did. Returns false for events about players that
+// weren't dealt in, which change nothing
+const applyHandEvent = (table, event, street) => {
+  const player = table.playerObjectArray.find((eachPlayer) => eachPlayer.ID === event.playerID);
+  if (event.playerID !== undefined && event.playerID !== null && !player) {
+    return false;
+  }
+
+  switch (event.type) {
+    case 'deal':
+      if (!player) {
+        [table.board[0]] = event.cards;
+      } else if (table.gameType === 'stud') {
+        dealStudCards(player, event.cards, street);
+      } else {
+        player.cards.push(...event.cards);
+      }
+      break;
+    case 'post':
+      commitChips(table, player, event.amount, event.kind !== 'ante');
+      player.actionState = POST_STATES[event.kind] || player.actionState;
+      player.allIn = event.allIn;
+      break;
+    case 'action':
+      if (event.action === 'folds') {
+        player.inGame = false;
+        player.actionState = 'fold';
+      } else if (event.action === 'checks') {
+        player.actionState = 'check';
+      } else {
+        commitChips(table, player, event.amount, true);
+        player.actionState = event.action === 'calls' ? 'call' : 'raise';
+      }
+      player.allIn = event.allIn;
+      break;
+    case 'street':
+      table.playerObjectArray.forEach((eachPlayer) => {
+        eachPlayer.potCommitment = 0;
+        if (eachPlayer.inGame) {
+          eachPlayer.actionState = '';
+        }
+      });
+      if (table.gameType === 'stud') {
+        break;
+      }
+      if (event.run === null) {
+        table.board = padBoard(event.board);
+      } else {
+        table.boards[event.run] = padBoard(event.board);
+      }
+      break;
+    case 'return':
+      // the bet nobody called goes back before the pots are handed out
+      player.stack += event.amount;
+      player.totalCommitment -= event.amount;
+      player.potCommitment = Math.max(player.potCommitment - event.amount, 0);
+      table.pot -= event.amount;
+      break;
+    case 'collect':
+      // once the pots are handed out, there's nothing left to split into side pots
+      table.playerObjectArray.forEach((eachPlayer) => {
+        eachPlayer.potCommitment = 0;
+        eachPlayer.totalCommitment = 0;
+      });
+      player.stack += event.amount;
+      table.pot -= event.amount;
+      break;
+    default:
+      break;
+  }
+  return true;
+};
+
+// returns every table the hand went through, from the seats being taken to the last pot
+// being handed out
+const replayHand = (hand, deckColor = 'Red') => {
+  const tables = [setTable(hand, deckColor)];
+  let street = 0;
+  let dealing = false;
+
+  hand.events.forEach((event) => {
+    const dealtTogether = dealing && event.type === 'deal';
+    const table = JSON.parse(JSON.stringify(tables[tables.length - 1]));
+    if (event.type === 'street') {
+      street = event.street;
+    }
+    if (!applyHandEvent(table, event, street)) {
+      return;
+    }
+    table.message = dealtTogether
+      ? `${table.message}\n${handEventToStr(hand, event)}`
+      : handEventToStr(hand, event);
+    if (dealtTogether) {
+      tables.pop();
+    }
+    tables.push(table);
+    dealing = event.type === 'deal';
+  });
+
+  return tables;
+};
+
+module.exports = {
+  replayHand,
+};
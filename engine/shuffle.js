@@ -0,0 +1,79 @@
+const { sha256 } = require('./sha256');
+
+// random number generators return 32 random bits at a time as an unsigned integer,
+// so any source of randomness can drive the shuffle
+
+// the default: cryptographically strong and impossible to predict, as money games need.
+// Browsers and Node 17 on have Web Crypto as a global. Older Node has the same randomness in its
+// crypto module, which the browser bundle leaves out
+const cryptoRandom = typeof crypto !== 'undefined' && crypto.getRandomValues
+  ? () => crypto.getRandomValues(new Uint32Array(1))[0]
+  // eslint-disable-next-line global-require
+  : () => require('crypto').randomBytes(4).readUInt32BE(0);
+
+// turns a seed of any length into a 32-bit number (FNV-1a)
+const hashSeed = (seed) => {
+  let hash = 2166136261;
+  String(seed).split('').forEach((char) => {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0; // eslint-disable-line no-bitwise
+  });
+  return hash;
+};
+
+// the same seed always gives the same numbers (mulberry32), so that hands can be reproduced
+// in tests and replays. Not for money games: the seed is all it takes to know every card
+const seededRandom = (seed) => {
+  let state = hashSeed(seed);
+  /* eslint-disable no-bitwise */
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return (value ^ (value >>> 14)) >>> 0;
+  };
+  /* eslint-enable no-bitwise */
+};
+
+// the same seed always gives the same numbers, taken 32 bits at a time from the SHA-256 hashes of
+// the seed followed by a counter. As long as the seed is kept secret, nobody can predict them,
+// so this is what the provably fair shuffle uses
+const hashRandom = (seed) => {
+  let counter = 0;
+  let words = [];
+  return () => {
+    if (words.length === 0) {
+      words = sha256(`${seed}:${counter}`).match(/.{8}/g).map((word) => parseInt(word, 16));
+      counter += 1;
+    }
+    return words.shift();
+  };
+};
+
+// picks a number from 0 to max - 1. Numbers past the last full multiple of max are drawn again,
+// otherwise the lowest numbers would come up slightly more often than the others
+const randomBelow = (random, max) => {
+  const limit = 2 ** 32 - ((2 ** 32) % max);
+  let value = random();
+  while (value >= limit) {
+    value = random();
+  }
+  return value % max;
+};
+
+// returns a shuffled copy of the cards (Fisher-Yates), leaving the cards as they are
+const shuffle = (cards, random = cryptoRandom) => {
+  const shuffled = cards.slice();
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = randomBelow(random, i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+module.exports = {
+  cryptoRandom,
+  seededRandom,
+  hashRandom,
+  randomBelow,
+  shuffle,
+};
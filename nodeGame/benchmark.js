@@ -0,0 +1,74 @@
+/* HAND EVALUATOR BENCHMARK-----------------------------------------------------------------------------------
+Times the hand evaluator on random five, six and seven card hands, and the old way of ranking every five-card
+combination with returnHandRank for comparison:
+
+    node nodeGame/benchmark.js [seconds per run]                                                             */
+
+const { evaluateHand } = require('../engine/handEvaluator');
+const { returnHandRank, getDeck } = require('../engine/gameFunctions');
+const { seededRandom, shuffle } = require('../engine/shuffle');
+
+const HANDS_PER_SIZE = 100000;
+
+
+// the same random hands every time the benchmark is run
+const dealHands = (deck, size) => {
+    let random = seededRandom(`benchmark/${size}`);
+    let cards = [];
+    ['S', 'C', 'D', 'H'].forEach((suit) => {
+        for (let num = deck.lowestCard; num <= 14; num++) {
+            cards.push([num, suit]);
+        }
+    });
+    let hands = [];
+    for (let i = 0; i < HANDS_PER_SIZE; i++) {
+        hands.push(shuffle(cards, random).slice(0, size));
+    }
+    return hands;
+};
+
+
+// the old way: rank all 21 five-card combinations of seven cards and sort out the best
+const rankEveryCombination = (sevenCards, deck) => {
+    let handRanks = [];
+    for (let a = 0; a < 7; a++) {
+        for (let b = a + 1; b < 7; b++) {
+            handRanks.push(returnHandRank(sevenCards.filter((card, i) => i !== a && i !== b), deck));
+        }
+    }
+    handRanks.sort((rank1, rank2) => {
+        let i = rank1.findIndex((num, j) => num !== rank2[j]);
+        return i === -1 ? 0 : rank2[i] - rank1[i];
+    });
+    return handRanks[0];
+};
+
+
+// evaluates the hands over and over for about the given time, and returns how many per second
+const timeEvaluations = (hands, evaluate, seconds) => {
+    let evaluations = 0;
+    let start = process.hrtime.bigint();
+    let elapsed = 0;
+    while (elapsed < seconds) {
+        for (let i = 0; i < hands.length; i++) {
+            evaluate(hands[i]);
+        }
+        evaluations += hands.length;
+        elapsed = Number(process.hrtime.bigint() - start) / 1e9;
+    }
+    return evaluations / elapsed;
+};
+
+
+const seconds = Number(process.argv[2]) || 1;
+const deck = getDeck({ gameType: 'holdem' });
+
+[5, 6, 7].forEach((size) => {
+    let hands = dealHands(deck, size);
+    let perSecond = timeEvaluations(hands, (hand) => evaluateHand(hand, deck), seconds);
+    console.log(`evaluateHand, ${size} cards: ${(perSecond / 1e6).toFixed(2)} million hands per second`);
+});
+
+let sevenCardHands = dealHands(deck, 7).slice(0, HANDS_PER_SIZE / 10);
+let perSecond = timeEvaluations(sevenCardHands, (hand) => rankEveryCombination(hand, deck), seconds);
+console.log(`every combination with returnHandRank, 7 cards: ${(perSecond / 1e6).toFixed(2)} million hands per second`);
@@ -0,0 +1,59 @@
+/* HAND EQUITY-----------------------------------------------------------------------------------------------
+Works out how often each hand wins, ties, and its share of the pot once the board is run out. It goes through
+every board that can still come when there aren't too many, and deals random ones otherwise:
+
+    node nodeGame/equity.js "AhKh" "QsQd" [--board "2c7dQh"] [--dead "Js"] [--game holdem|short-deck|omaha]
+                            [--iterations 100000] [--seed <seed to deal the same random boards>]            */
+
+const { parseCards, calculateEquity } = require('../engine/equity');
+
+const OPTIONS = ['--board', '--dead', '--game', '--iterations', '--seed'];
+
+
+// splits the arguments into the hands and the options that follow them
+const readArguments = (args) => {
+    let hands = [];
+    let options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (OPTIONS.includes(args[i])) {
+            if (args[i + 1] === undefined) {
+                throw new Error(args[i] + ' needs a value');
+            }
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        } else if (args[i].startsWith('--')) {
+            throw new Error('There is no ' + args[i] + ' option');
+        } else {
+            hands.push(parseCards(args[i]));
+        }
+    }
+    return {
+        hands,
+        board: parseCards(options.board || ''),
+        dead: parseCards(options.dead || ''),
+        gameType: options.game,
+        iterations: options.iterations === undefined ? undefined : Number(options.iterations),
+        seed: options.seed,
+    };
+};
+
+
+let equity;
+let args = process.argv.slice(2);
+try {
+    equity = calculateEquity(readArguments(args));
+} catch (err) {
+    console.log(err.message);
+    console.log('Usage: node nodeGame/equity.js <hand> <hand> ... [--board <cards>] [--dead <cards>] '
+        + '[--game holdem|short-deck|omaha] [--iterations <boards>] [--seed <seed>]');
+    process.exit(1);
+}
+
+let handArgs = args.filter((arg, i) => !arg.startsWith('--') && !OPTIONS.includes(args[i - 1]));
+console.log(equity.exact
+    ? 'Every one of the ' + equity.boards + ' boards that can come:'
+    : equity.boards + ' random boards:');
+equity.players.forEach((player, i) => {
+    console.log(handArgs[i] + ': equity ' + player.equity.toFixed(2) + '%, win ' + player.win.toFixed(2)
+        + '%, tie ' + player.tie.toFixed(2) + '%');
+});
@@ -4,29 +4,23 @@ For that reason, player inputs are converted to cents by multiplying everything
 100 before logging back to the console. Open to changes on this front.                                    */
 
 const {
-    showdown,
-    buildDeck,
-    dealCards,
-    incrementTurn,
-    postBlinds,
-    addToBoard,
-    flop,
-    outputGameStatus,
-    outputPlayerInquiry,
+    calculatePots,
+    potName,
+    countHoleCards,
+    beautifyCard,
+    convertToDollars,
     convertToCents,
-    handlePlayerAction,
-    checkActionRoundEndingCondition,
-    checkDealerRoundEndingCondition,
-    refreshActionRound,
-    refreshDealerRound,
-    findNextPlayer,
-    rankToHandStr,
-} = require('./gameFunctions');
-
-const { PokerGame } = require('./pokerGame');
+    getLegalActions,
+    validatePlayerAction,
+    playTurn,
+    runOutStep,
+    startGame,
+} = require('../engine/gameFunctions');
+
+const { PokerGame } = require('../engine/PokerGame');
 const PG = new PokerGame();
 
-const { Player } = require('./Player');
+const { Player } = require('../engine/Player');
 
 
 // AUXILIARY COMMAND LINE FUNCTIONS: VALIDATE PLAYER INPUT AND THEN RETURN OBJECTS THAT ARE USED IN THE CLF--
@@ -75,84 +69,235 @@ const validateAndAssignBlind = (inputBlind, isSmallBlind) => {
     return true;
 };
 
-// this function will validate player action. If a call, check, or fold, the function returns the respective string.
-// in case of a raise, function returns the raise amount in cents.
-const validateAndReturnPlayerAction = (input) => {
+// turns the player's input into an action for the engine: call, check, fold, or a raise to the bet amount in cents.
+// returns null if the input isn't any of those
+const parsePlayerAction = (input) => {
     let actionInput = input.slice(0, 4);
     let numericInput = input.slice(4);
 
     // some imperfect inputs are allowed in this game for the sake of simplicity of the code.
-    // it's designed so that player intent is never misunderstood, however
-    // this else if statement both validates the input and returns call, check, or fold if it's one of those.
-    // if it's a raise, it goes on to the next section to validate the amount
+    // it's designed so that player intent is never misunderstood, however.
+    // in fixed-limit, the bet size is set by the action round, so "bet" doesn't need an amount
     if (actionInput === 'call') {
+        return ['call', ''];
+    } else if (actionInput === 'fold') {
+        return ['fold', ''];
+    } else if (actionInput === 'chec') {
+        return ['check', ''];
+    } else if (actionInput.trim() != 'bet') {
+        return null;
+    }
+    return ['raise', convertToCents(parseFloat(numericInput))];
+};
 
-        // validate that there is a raise on the board to be called. Second part is to allow the SB to call
-        // when it is not equal to the big blind
 
-        let raiseCounter = 0;
-        for (let i = 0; i < PG.playerObjectArray.length; i++) {
+// AUXILIARY COMMAND LINE FUNCTIONS: RENDER THE GAME TO THE CONSOLE------------------------------------------
+
+// the engine names the suits with letters, which are shown as their symbols
+const SUIT_SYMBOLS = { C: '♣', D: '♦', H: '♥', S: '♠' };
+const cardToStr = (card) => beautifyCard(card).slice(0, -1) + SUIT_SYMBOLS[card[1]];
+
+
+// this function logs the current game condition so that everyone can see it.
+// this includes the player id's, stacks, and cards to indicate if they're in the game or not.
+// also indicates the round status: whether the player has checked, raised, or called, and how much they have
+// committed to the pot.
+// it will also demonstrate the board and the pot.
+const outputGameStatus = (PG) => {
+    let outputLine1 = '\n';
+    let outputLine2 = '';
+    let outputLine3 = '';
+    let outputLine4 = '';
+    let outputLine5 = '';
+
+    // this for loop builds the 5 lines required to show what each player has, their pot commitment, and their previous action.
+    for (let i = 0; i < PG.playerObjectArray.length; i++) {
+
+        // P1, P2, etc.
+        outputLine1 = outputLine1 + 'P' + (i + 1).toString() + '      ';
 
-            // this allows the small blind to call big blind as well
-            if (PG.playerObjectArray[i].actionState === 'raise' || (PG.playerObjectArray[i].actionState === 'SB')) {
-                raiseCounter++;
+        // since stack amount may vary, need to equalize the stack line to a total of 8 chars per player.
+        let str = convertToDollars(PG.playerObjectArray[i].stack).toString();
+        let spaces = '';
+        for (let j = 0; j < (7 - str.length); j++) {
+            spaces += ' ';
+        }
+        outputLine2 = outputLine2 + '$' + str + spaces;
+
+        // show cards only for players that are still in the game, face up during an all-in run-out
+        if (PG.playerObjectArray[i].inGame && PG.allInRunOut) {
+            str = [...PG.playerObjectArray[i].cards, ...PG.playerObjectArray[i].upCards].map(cardToStr).join('');
+            outputLine3 = outputLine3 + str + ' '.repeat(Math.max(1, 8 - str.length));
+        } else if (PG.playerObjectArray[i].inGame && PG.gameType === 'stud') {
+            // stud up cards are always face up next to the down cards
+            str = '🂠'.repeat(PG.playerObjectArray[i].cards.length)
+                + PG.playerObjectArray[i].upCards.map(cardToStr).join('');
+            outputLine3 = outputLine3 + str + ' '.repeat(Math.max(1, 8 - str.length));
+        } else if (PG.playerObjectArray[i].inGame) {
+            outputLine3 = outputLine3 + '🂠'.repeat(countHoleCards(PG)) + ' '.repeat(8 - countHoleCards(PG));
+        } else {
+            outputLine3 = outputLine3 + '        ';
+        }
+
+        // since action word length will vary, need to equalize line to 8 chars per player
+        str = PG.playerObjectArray[i].actionState;
+        spaces = '';
+        for (let j = 0; j < (8 - str.length); j++) {
+            spaces = spaces + ' ';
+        }
+        outputLine4 = outputLine4 + str + spaces;
+
+        // since pot commitment will vary, need to equalize line to 8 chars per player
+        if (PG.playerObjectArray[i].potCommitment === 0) {
+            outputLine5 = outputLine5 + '        ';
+        } else {
+            str = convertToDollars(PG.playerObjectArray[i].potCommitment).toString();
+            spaces = '';
+            for (let j = 0; j < (7 - str.length); j++) {
+                spaces = spaces + ' ';
             }
+            outputLine5 = outputLine5 + '$' + str + spaces;
         }
+    }
 
-        // exception for situation where small blind is equal to big blind; SB cannot call there
-        if (raiseCounter === 0 || PG.playerObjectArray[PG.turn].actionState === 'SB' && PG.smallBlind === PG.bigBlind) {
-            console.log('You cannot call here.');
-            return { valid: false };
+    // sixth line shows the board & seventh line shows the pot
+    // a board that's run more than once gets a line per run
+    let boards = PG.boards.length > 0 ? PG.boards : [PG.board];
+    let outputLine6 = '';
+    boards.forEach((board, run) => {
+        outputLine6 = outputLine6 + (boards.length > 1 ? `\nBoard (run ${run + 1}): ` : '\nBoard: ');
+        if (board[0] !== '') {
+            outputLine6 = outputLine6 + '| ';
         }
-        return {
-            valid: true,
-            playerAction: ['call', ''],
-        };
+        for (let i = 0; i < 5; i++) {
+            if (board[i] !== '') {
+                outputLine6 = outputLine6 + cardToStr(board[i]) + ' | ';
+            }
+        }
+    });
+
+    console.log(outputLine1);
+    console.log(outputLine2);
+    console.log(outputLine3);
+    console.log(outputLine4);
+    console.log(outputLine5);
+    console.log(outputLine6);
+    console.log('Pot: $' + convertToDollars(PG.pot).toString());
+
+    // once there are side pots, show how the pot is split up
+    let pots = calculatePots(PG);
+    if (pots.length > 1) {
+        pots.forEach((pot, i) => {
+            console.log(`  ${potName(i)}: $${convertToDollars(pot.amount)}`);
+        });
+    }
+};
 
-    } else if (actionInput === 'fold') {
-        return {
-            valid: true,
-            playerAction: ['fold', ''],
-        };
-    } else if (actionInput === 'chec') {
 
-        // validate that player is allowed to check
-        if (PG.allowCheck === false) {
-            console.log('You cannot check here.');
-            return { valid: false };
+// output that comes under the board
+const outputPlayerInquiry = (PG) => {
+    let player = PG.playerObjectArray[PG.turn];
+    console.log('\nPlayer ' + player.ID + ', it\'s your turn.');
+    console.log('Your cards: | ' + [...player.cards, ...player.upCards].map(cardToStr).join(' | ') + ' |');
+    // the engine says what the player can do, and for how much
+    let options = getLegalActions(PG).map((legalAction) => {
+        if (legalAction.type === 'call') {
+            return 'call $' + convertToDollars(legalAction.amount);
         }
-        return {
-            valid: true,
-            playerAction: ['check', ''],
-        };
-
-    } else if (actionInput != 'bet ') {
-        return { valid: false };
-    }
-
-    // second input: verify that the raise is an increment of the small blind, equal or above the minimum raise,
-    // and less than or equal to the player's stack. exception is made if player bets stack; then bet gets through
-    // regardless of the min raise.
-    numericInput = convertToCents(parseFloat(numericInput));
-    if (numericInput === PG.playerObjectArray[PG.turn].stack) {
-        return {
-            valid: true,
-            playerAction: ['raise', numericInput],
-        };
-    }
-    if (numericInput % PG.smallBlind != 0 ||
-        numericInput < PG.previousBet + PG.minRaise ||
-        numericInput > PG.playerObjectArray[PG.turn].stack + PG.playerObjectArray[PG.turn].potCommitment) {
-        console.log('You can\'t raise that amount.');
-        return { valid: false };
-    }
-    return {
-        valid: true,
-        playerAction: ['raise', numericInput]
-    };
-}
+        if (legalAction.type !== 'raise') {
+            return legalAction.type;
+        }
+        if (legalAction.minRaiseTo === legalAction.maxRaiseTo) {
+            return 'bet $' + convertToDollars(legalAction.maxRaiseTo);
+        }
+        return 'bet $' + convertToDollars(legalAction.minRaiseTo) + ' to $' + convertToDollars(legalAction.maxRaiseTo);
+    });
+    console.log('You can ' + options.join(', ') + '. \n');
+};
+
+
+
+// prints whatever the engine had to say since the last input. Once a hand is over and its server seed
+// revealed, also shows how to check that it was dealt fairly
+let revealedHandsShown = 0;
+const outputMessages = () => {
+    if (PG.message !== '') {
+        console.log(PG.message);
+        PG.message = '';
+    }
+    while (revealedHandsShown < PG.revealedHands.length) {
+        console.log('To verify it: node nodeGame/verify.js \'' + JSON.stringify(PG.revealedHands[revealedHandsShown]) + '\'');
+        revealedHandsShown++;
+    }
+};
+
+
+// after every input, shows what happened and asks the next player to act. Once nobody can bet anymore, the
+// rest of the board is dealt street by street without waiting for input, going straight to the showdown
+const outputNextStep = () => {
+    outputMessages();
+    while (PG.allInRunOut) {
+        outputGameStatus(PG);
+        runOutStep(PG);
+        outputMessages();
+    }
+
+    if (PG.straddleOffered) {
+        console.log('Enter "yes" or "no".');
+        return;
+    }
+    if (PG.runItOffered) {
+        console.log(`Enter a number from 1 to ${PG.runCount}.`);
+        return;
+    }
+    outputGameStatus(PG);
+    outputPlayerInquiry(PG);
+};
 
 
+// once the game settings are in, explains how to play
+const announceRules = () => {
+    console.log('\nGreat! Let\'s begin the game. Here are the game rules:');
+    if (PG.gameType === 'short-deck') {
+        console.log('This is short-deck Hold\'em: the 2s through 5s are out, A-6-7-8-9 is the lowest straight and a flush beats a full house.');
+    }
+    if (PG.gameType === 'omaha') {
+        console.log('This is Omaha: everyone gets four cards, and hands are made of exactly two of them and three from the board.');
+    }
+    if (PG.gameType === 'stud') {
+        console.log('This is Seven-Card Stud: there is no board, and everyone gets two cards down and one up.');
+        console.log('The lowest up card brings it in for the small blind, and completing it to the big blind is the first bet.');
+        console.log('Fourth through sixth street are dealt up and seventh street down. The best hand showing acts first.');
+    }
+    if (PG.bigBlindAnte) {
+        console.log('The big blind also pays a $' + convertToDollars(PG.ante) + ' ante for everyone dealt in.');
+    } else if (PG.ante > 0) {
+        console.log('Everyone antes $' + convertToDollars(PG.ante) + ' every hand. Antes go in the pot, but don\'t count toward calling a bet.');
+    }
+    if (PG.bettingStructure === 'fixed-limit') {
+        let smallBetStreets = PG.gameType === 'stud' ? 'on third and fourth street' : 'pre-flop and on the flop';
+        let bigBetStreets = PG.gameType === 'stud' ? 'from fifth street on' : 'on the turn and river';
+        console.log('This is a fixed-limit game: bets and raises are one small bet of $' + convertToDollars(PG.bigBlind)
+            + ' ' + smallBetStreets + ', and one big bet of $' + convertToDollars(2 * PG.bigBlind) + ' ' + bigBetStreets + '.');
+        console.log('To bet or raise, simply enter \"bet\". After the bet, ' + PG.raiseCap + ' raises are allowed in each round.');
+    } else {
+        console.log('To raise, enter \"bet\" followed by a space and the total amount you\'d like to bet (no dollar signs).');
+        console.log('In the case of a re-raise, make sure you input the total amount you are raising to, not just the raise amount.');
+    }
+    if (PG.bettingStructure === 'pot-limit') {
+        console.log('This is a pot-limit game, so no bet can be bigger than the pot after calling.');
+    }
+    if (PG.straddleEnabled) {
+        console.log('Before the cards are dealt, the player after the big blind can straddle for twice the big blind and act last pre-flop.');
+    }
+    if (PG.gameType !== 'stud') {
+        console.log('When everyone is all-in before the river, the players in the hand can agree to run the rest of the board up to three times.');
+    }
+    console.log('Every hand is dealt from a deck that is committed to when it\'s dealt, and its server seed is revealed once it\'s over.');
+    console.log('To mix a seed of your own into the shuffle from the next hand on, enter \"seed\" followed by anything you like on your turn.');
+    console.log('To call, check, or fold, simply enter \"call\", \"check\", or \"fold\". The first dealer will be picked randomly.');
+};
+
 
 // COMMAND LINE FUNCTION (CLF)-------------------------------------------------------------------------------
 
@@ -222,248 +367,156 @@ const handleCommandLineInput = (input) => {
             return;
         }
 
-        console.log('\nGreat! Let\'s begin the game. Here are the game rules:');
-        console.log('To raise, enter \"bet\" followed by a space and the total amount you\'d like to bet (no dollar signs).');
-        console.log('In the case of a re-raise, make sure you input the total amount you are raising to, not just the raise amount.');
-        console.log('To call, check, or fold, simply enter \"call\", \"check\", or \"fold\". The first dealer will be picked randomly.');
-
-        // pick random player to begin as the first dealer
-        PG.dealer = Math.floor(Math.random() * PG.playerObjectArray.length);
+        // iterate state and ask next question
         PG.CLFstate++;
+        console.log('Will the game be holdem, short-deck, omaha or stud?');
+        return;
     }
 
-
-    // "DEALER ROUND BLOCK" - code block to iterate within each dealer round---------------------------------------
-    // A "dealer round" is defined as the overall round from pre-flop to showdown, since dealer changes from round to round.
-    // The four rounds from pre-flop to showdown will be called "action rounds".
-
-    // Block 1 - only needs to run once at the beginning of each dealer round: everything until action after the big blind.
     if (PG.CLFstate === 4) {
-
-        // build a new full deck and deal cards to the players
-        buildDeck(PG);
-        dealCards(PG);
-
-        // set turn to small blind, next after dealer
-        PG.turn = PG.dealer;
-        incrementTurn(PG);
-
-        // post blinds
-        postBlinds(PG);
-
-        // declare the dealer, output the first game board, and announce the first turn
-        outputGameStatus(PG);
-        outputPlayerInquiry(PG);
-
-        // edge case scenario where there are only 2 players and sb = bb, first player to act is sb
-        // and this allows them to check
-        if (PG.playerObjectArray[PG.turn].actionState === 'SB' && PG.smallBlind === PG.bigBlind) {
-            PG.allowCheck = true;
+        if (input !== 'holdem' && input !== 'short-deck' && input !== 'omaha' && input !== 'stud') {
+            console.error('Please enter a valid input.');
+            return;
         }
-
+        PG.gameType = input;
         PG.CLFstate++;
+        console.log('What will the ante be? Enter 0 to play without one.');
         return;
     }
 
-    // Block 2 handles the 4 action rounds - this code will cycle within a dealer round.
-
-    // Handles the pre-flop action round (action round 0)
-    if (PG.actionRoundState === 0) {
-
-        let inputAction = validateAndReturnPlayerAction(input);
-        if (!inputAction.valid) {
-            console.log('Please enter a valid input.');
+    if (PG.CLFstate === 5) {
+        let ante = convertToCents(parseFloat(input));
+        if (isNaN(ante) || ante < 0 || ante > PG.bigBlind) {
+            console.error('Please enter a valid input.');
             return;
         }
+        PG.ante = ante;
 
-        // function to call the method corresponding to player action
-        handlePlayerAction(inputAction.playerAction, PG);
-
-        // TODO(anyone): merge incrementTurn into findNextPlayer
-        incrementTurn(PG);
-        // function to find the next player that is still in the game
-        findNextPlayer(PG);
-
-        // once turn is incremented, following code is what needs to be executed for the next player before
-        // next user input
-
-        // pre-flop, the big blind (and the small blind if it's equal to big blind)
-        // have the option to check if all other players called or folded.
-        let preflopCounter = 0;
-
-        // toggles the check state for the small blind if it's equal to the big blind
-        if (PG.playerObjectArray[PG.turn].actionState === 'SB' && PG.smallBlind === PG.bigBlind) {
-
-            // count active raises on board; if the SB & BB are the only ones, they can check
-            for (let i = 0; i < PG.playerObjectArray.length; i++) {
-                if (PG.playerObjectArray[i].actionState !== 'raise') {
-                    preflopCounter++;
-                }
-            }
-
-            if (preflopCounter === PG.playerObjectArray.length) {
-                PG.allowCheck = true;
-            }
-        }
-
-        // toggles the check state for the big blind - unless the BB is equal to the SB, in which case
-        // it has already been toggled.
-
-        // edge case: big blind re-raised and all other players called. Hmmm
-        // TODO(anyone): Not sure if this is a TODO still or not? ^^
-        if (PG.playerObjectArray[PG.turn].actionState === 'BB' && PG.smallBlind != PG.bigBlind) {
-
-            // count active raises on board; if the BB's is the only one, they can check
-            for (let i = 0; i < PG.playerObjectArray.length; i++) {
-                if (PG.playerObjectArray[i].actionState != 'raise') {
-                    preflopCounter++;
-                }
-            }
-            if (preflopCounter === PG.playerObjectArray.length) {
-                PG.allowCheck = true;
-            }
-        }
-
-        // check if dealer round is done. comes before action round because of edge case where one player checks
-        // and all others fold.
-        if (checkDealerRoundEndingCondition(PG)) {
-
-            // will set everything through the blinds up for next round and output to the board
-            refreshDealerRound(PG);
-
-            PG.actionRoundState = 0;
+        // only blind games with an ante can have the big blind pay it for everyone,
+        // and only blind games can have a straddle
+        if (PG.ante > 0 && PG.gameType !== 'stud') {
+            PG.CLFstate++;
+            console.log('Will the big blind pay everyone\'s ante, yes or no?');
             return;
         }
-
-        // check if action round is done
-        if (checkActionRoundEndingCondition(PG)) {
-
-            // flop
-            flop(PG);
-
-            // remaining code that is the same between each action round
-            refreshActionRound(PG);
-
-            PG.actionRoundState++;
+        if (PG.gameType !== 'stud') {
+            PG.CLFstate += 2;
+            console.log('Will the player after the big blind be able to straddle, yes or no?');
             return;
         }
-
-        outputGameStatus(PG);
-        outputPlayerInquiry(PG);
+        PG.CLFstate += 3;
+        console.log('Will the game be no-limit, pot-limit or fixed-limit?');
         return;
     }
 
-    // Handles the flop action round (action round 1)
-    if (PG.actionRoundState === 1) {
-
-        let inputAction = validateAndReturnPlayerAction(input);
-        if (!inputAction.valid) {
-            console.log('Please enter a valid input.');
-            return;
-        }
-
-        handlePlayerAction(inputAction.playerAction, PG);
-        // TODO(anyone): merge incrementTurn into findNextPlayer
-        incrementTurn(PG);
-        findNextPlayer(PG);
-
-        if (checkDealerRoundEndingCondition(PG)) {
-            refreshDealerRound(PG);
-            PG.actionRoundState = 0;
+    if (PG.CLFstate === 6) {
+        if (input !== 'yes' && input !== 'no') {
+            console.error('Please enter a valid input.');
             return;
         }
+        PG.bigBlindAnte = input === 'yes';
+        PG.CLFstate++;
+        console.log('Will the player after the big blind be able to straddle, yes or no?');
+        return;
+    }
 
-        if (checkActionRoundEndingCondition(PG)) {
-            addToBoard(PG); // turn
-            refreshActionRound(PG);
-            PG.actionRoundState++;
+    if (PG.CLFstate === 7) {
+        if (input !== 'yes' && input !== 'no') {
+            console.error('Please enter a valid input.');
             return;
         }
-
-        outputGameStatus(PG);
-        outputPlayerInquiry(PG);
+        PG.straddleEnabled = input === 'yes';
+        PG.CLFstate++;
+        console.log('Will the game be no-limit, pot-limit or fixed-limit?');
         return;
     }
 
-    // Handles the turn action round (action round 2)
-    if (PG.actionRoundState === 2) {
-
-        let inputAction = validateAndReturnPlayerAction(input);
-        if (!inputAction.valid) {
-            console.log('Please enter a valid input.');
+    if (PG.CLFstate === 8) {
+        if (input !== 'no-limit' && input !== 'pot-limit' && input !== 'fixed-limit') {
+            console.error('Please enter a valid input.');
             return;
         }
+        PG.bettingStructure = input;
 
-        handlePlayerAction(inputAction.playerAction, PG);
-        // TODO(anyone): merge incrementTurn into findNextPlayer
-        incrementTurn(PG);
-        findNextPlayer(PG);
-
-        if (checkDealerRoundEndingCondition(PG)) {
-            refreshDealerRound(PG);
-            PG.actionRoundState = 0;
+        // only fixed-limit has a raise cap to ask about
+        if (PG.bettingStructure === 'fixed-limit') {
+            PG.CLFstate++;
+            console.log('How many raises will be allowed after the bet in each round, between 1 to 5?');
             return;
         }
+        PG.CLFstate += 2;
+        announceRules();
+    }
 
-        if (checkActionRoundEndingCondition(PG)) {
-            addToBoard(PG); // river
-            refreshActionRound(PG);
-            PG.actionRoundState++;
+    if (PG.CLFstate === 9) {
+        let raiseCap = Number(input);
+        if (!Number.isInteger(raiseCap) || raiseCap < 1 || raiseCap > 5) {
+            console.error('Please enter a valid input.');
             return;
         }
+        PG.raiseCap = raiseCap;
+        PG.CLFstate++;
+        announceRules();
+    }
 
-        outputGameStatus(PG);
-        outputPlayerInquiry(PG);
+
+    // "DEALER ROUND BLOCK" - code block to iterate within each dealer round---------------------------------------
+    // A "dealer round" is defined as the overall round from pre-flop to showdown, since dealer changes from round to round.
+    // The four rounds from pre-flop to showdown will be called "action rounds".
+
+    // Block 1 - only runs once: picks the first dealer and deals the first dealer round
+    if (PG.CLFstate === 10) {
+        PG.CLFstate++;
+        startGame(PG);
+        outputNextStep();
         return;
     }
 
-    // Handles the river action round (action round 3)
-    if (PG.actionRoundState === 3) {
+    // whenever it's their turn, players can contribute a seed to the shuffle of the hands to come
+    if (input.startsWith('seed ')) {
+        playTurn(['clientSeed', input.slice(5)], PG);
+        outputMessages();
+        return;
+    }
 
-        let inputAction = validateAndReturnPlayerAction(input);
-        if (!inputAction.valid) {
+    // before the cards are dealt, the player after the big blind may have to decide on the straddle
+    if (PG.straddleOffered) {
+        if (input !== 'yes' && input !== 'no') {
             console.log('Please enter a valid input.');
             return;
         }
+        playTurn(['straddle', input === 'yes'], PG);
+        outputNextStep();
+        return;
+    }
 
-        handlePlayerAction(inputAction.playerAction, PG);
-        outputGameStatus(PG);
-        // TODO(anyone): merge incrementTurn into findNextPlayer
-        incrementTurn(PG);
-        findNextPlayer(PG);
-
-        if (checkDealerRoundEndingCondition(PG)) {
-            refreshDealerRound(PG);
-            PG.actionRoundState = 0;
-            return;
-        }
-
-        // this part will be replaced with showdown
-        if (checkActionRoundEndingCondition(PG)) {
-
-            // set the winning hand rank and its player index
-            let winHandRank = showdown(PG);
-
-            // give the player the pot and reset it to 0
-            PG.playerObjectArray[winHandRank.playerIndex].stack += PG.pot;
-            PG.pot = 0;
-
-            // state the winner and how they won
-            let outputStr = `Player ${PG.playerObjectArray[winHandRank.playerIndex].ID}`;
-            outputStr += ` won with a ${rankToHandStr(winHandRank[0])}`;
-            console.log(outputStr);
-
-            // reset the dealer round
-            refreshDealerRound(PG);
-            PG.actionRoundState = 0;
+    // before an all-in run-out, every player in the hand says how many times they'd like to run the board
+    if (PG.runItOffered) {
+        let runs = Number(input);
+        if (!Number.isInteger(runs) || runs < 1 || runs > PG.runCount) {
+            console.log('Please enter a valid input.');
             return;
         }
-
-        outputGameStatus(PG);
-        outputPlayerInquiry(PG);
+        playTurn(['runs', runs], PG);
+        outputNextStep();
         return;
     }
 
+    // Block 2 handles the action rounds. The engine moves the game on from one action round and dealer round
+    // to the next, so every input is simply the action of the player whose turn it is
+    let playerAction = parsePlayerAction(input);
+    if (!playerAction) {
+        console.log('Please enter a valid input.');
+        return;
+    }
+    let inputAction = validatePlayerAction(PG, playerAction);
+    if (!inputAction.valid) {
+        console.log(inputAction.error);
+        console.log('Please enter a valid input.');
+        return;
+    }
+    playTurn(inputAction.playerAction, PG);
+    outputNextStep();
 }
 
 
@@ -471,6 +524,14 @@ const handleCommandLineInput = (input) => {
 
 console.log('\nWelcome to PokerBirds!');
 
+// "node nodeGame/game.js --seed <seed>" shuffles the same way every time the seed is used,
+// so that a game can be played again card for card
+let seedIdx = process.argv.indexOf('--seed');
+if (seedIdx !== -1 && process.argv[seedIdx + 1] !== undefined) {
+    PG.seed = process.argv[seedIdx + 1];
+    console.log('The cards are shuffled with seed ' + PG.seed + '. Don\'t play for real money with a seed!');
+}
+
 // set up Input Listener
 process.stdin.resume();
 process.stdin.addListener('data', handleCommandLineInput);
@@ -485,13 +546,10 @@ console.log('\nPlease enter the number of players, between 2 to 8:');
 /* Big remaining tasks:
 
 - showdown function (this is complete right?)
-- side pot situation
-- all-in before the last round
 
 
 
 Small remaining tasks
-- if player doesn't have enough for small or big blind
 - cnsolidate actionRoundState 2 & 3?, but in 3 have a the showdown part?
 - why are the the blinds reduced by 1cent??
 
@@ -525,7 +583,7 @@ Further edge-cases: maybe some weird things happen if the buy-in is not a multip
 where that would be an issue yet.
 
 Edge case 1: scenario where the initial (previous?) raiser can now no longer re-raise unless someone else raises.
-This is such an edge case that I will probably leave it out of this program, but it will be needed for the full game.
+Handled by the hasActed flag on each player, which only a full raise clears.
 
 Edge case 2: P1 raises 500. P2 raises all-in for 700. The PG.minRaise is is still 500. P1 is not allowed to re-raise
 unless another player re-raises (that's what the above comment references). But now, if P3 wants to re-raise, is the
@@ -1,27 +1,57 @@
 const assert = require('assert');
 const {
+    calculatePots,
     showdown,
+    potResultsToStr,
     buildDeck,
     dealCards,
     incrementTurn,
     postBlinds,
     addToBoard,
     flop,
-    outputGameStatus,
-    outputPlayerInquiry,
+    dealNextStreet,
+    checkAllInRunOut,
+    offerRunItTwice,
+    decideRunCount,
+    checkRaiseCapReached,
+    calculateMaxBet,
     convertToCents,
     handlePlayerAction,
+    getLegalActions,
+    validatePlayerAction,
+    playTurn,
+    runOutStep,
+    startGame,
+    beautifyCard,
+    verifyHand,
+    calculateAmountOwed,
     checkActionRoundEndingCondition,
     checkDealerRoundEndingCondition,
     refreshActionRound,
     refreshDealerRound,
+    decideStraddle,
     findNextPlayer,
     straightFlush,
     returnHandRank,
+    postAntesAndBringIn,
+    rankUpCards,
+    dealStudStreet,
+    getDeck,
     rankToHandStr,
-} = require('./gameFunctions');
-const { PokerGame } = require('./PokerGame');
-const { Player } = require('./Player');
+} = require('../engine/gameFunctions');
+const { PokerGame } = require('../engine/PokerGame');
+const { Player } = require('../engine/Player');
+const { toPlainState, applyAction } = require('../engine/reducer');
+const { seededRandom, shuffle } = require('../engine/shuffle');
+const { evaluateHand, strengthToRank } = require('../engine/handEvaluator');
+const {
+    listDealtCards,
+    handHistoryToStr,
+    handHistoriesToStr,
+    parseHandHistories,
+} = require('../engine/handHistory');
+const { replayHand } = require('../engine/replay');
+const { parseCards, calculateEquity } = require('../engine/equity');
 
 // Tests
 
@@ -54,36 +84,1109 @@ const showdownTest1 = () => {
 
 showdownTest1();
 
+// Shuffle Test 1: the deck is shuffled once per hand and dealt from the top. A seed
+// gives the same deck every time, and a different one for every hand
+const shuffleTest1 = () => {
+    const cards = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = shuffle(cards, seededRandom('test'));
+    assert.deepStrictEqual(cards, [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepStrictEqual(shuffled.slice().sort(), cards);
+    assert.deepStrictEqual(shuffle(cards, seededRandom('test')), shuffled);
+    assert.deepStrictEqual(shuffle(cards).slice().sort(), cards);
+
+    const PG = new PokerGame();
+    PG.seed = 'bug report';
+    PG.playerObjectArray.push(new Player(1), new Player(2));
+    buildDeck(PG);
+    const deck = PG.deckArray.slice();
+    assert(new Set(deck.map((card) => card.join(''))).size === 52);
+    dealCards(PG);
+    flop(PG);
+    assert.deepStrictEqual(PG.playerObjectArray[0].cards, deck.slice(0, 2));
+    assert.deepStrictEqual(PG.playerObjectArray[1].cards, deck.slice(2, 4));
+    assert.deepStrictEqual(PG.board.slice(0, 3), deck.slice(4, 7));
+
+    buildDeck(PG);
+    assert.deepStrictEqual(PG.deckArray, deck);
+    PG.handNumber++;
+    buildDeck(PG);
+    assert.notDeepStrictEqual(PG.deckArray, deck);
+}
+
+shuffleTest1();
+
+// Fairness Test 1: every hand is dealt from a committed deck, and once it's over its server
+// seed is revealed so the deck can be shuffled again and checked against the commitment
+const fairnessTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    PG.playerObjectArray.push(new Player(1), new Player(2));
+    PG.playerObjectArray.forEach((player) => {
+        player.stack = 1000;
+    });
+    startGame(PG);
+    const firstCommitment = PG.handCommitment;
+    const dealtCards = PG.playerObjectArray.map((player) => player.cards.map(beautifyCard).join(' '));
+    assert(PG.message.includes(firstCommitment.commitment));
+
+    // the seed only goes into the shuffles of the hands to come, whose server seed is already picked
+    const seededID = PG.playerObjectArray[PG.turn].ID;
+    playTurn(['clientSeed', 'lucky'], PG);
+    assert(PG.playerObjectArray[PG.turn].ID === seededID && PG.handCommitment.clientSeed === '');
+    playTurn(['fold', ''], PG);
+    assert(PG.revealedHands.length === 1 && PG.handNumber === 2);
+    assert(PG.handCommitment.clientSeed === `${seededID}=lucky`);
+    assert(PG.handCommitment.serverSeedHash === firstCommitment.nextServerSeedHash);
+
+    const revealed = PG.revealedHands[0];
+    const result = verifyHand(revealed);
+    assert(result.valid);
+    assert(result.deck.startsWith(`${dealtCards[0]} ${dealtCards[1]}`));
+    assert(!verifyHand({ ...revealed, serverSeed: PG.serverSeed }).valid);
+    assert(!verifyHand({ ...revealed, clientSeed: '1=unlucky' }).valid);
+}
+
+fairnessTest1();
+
+// Hand History Test 1: every hand that's over is logged, and written out in the PokerStars format
+// with the cards that came off its deck
+const handHistoryTest1 = () => {
+    const PG = new PokerGame();
+    PG.seed = 'history';
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    PG.playerObjectArray.push(new Player(1), new Player(2), new Player(3));
+    PG.playerObjectArray.forEach((player) => {
+        player.stack = 1000;
+    });
+    startGame(PG);
+    const folderID = PG.playerObjectArray[PG.turn].ID;
+    playTurn(['fold'], PG);
+    playTurn(['raise', 30], PG);
+    playTurn(['call'], PG);
+    while (PG.handNumber === 1) {
+        playTurn([PG.previousBet === 0 ? 'check' : 'call'], PG);
+    }
+
+    assert(PG.handLog.handNumber === 2 && PG.handHistories.length === 1);
+    const hand = PG.handHistories[0];
+    assert(verifyHand(hand.fairness, listDealtCards(hand)).valid);
+
+    const text = handHistoryToStr(hand);
+    const lines = text.split('\n');
+    assert(lines[0].startsWith('PokerStars Hand #1: Hold\'em No Limit ($0.05/$0.10 USD) - '));
+    assert(lines.includes('Seat 1: Player 1 ($10 in chips)'));
+    assert(lines.includes(`Player ${folderID}: folds`));
+    assert(lines.some((line) => line.endsWith(': raises $0.20 to $0.30')));
+    ['*** HOLE CARDS ***', '*** SHOW DOWN ***', '*** SUMMARY ***', 'Total pot $0.60 | Rake $0'].forEach((line) => {
+        assert(lines.includes(line));
+    });
+    assert(lines.some((line) => line.startsWith('*** RIVER *** [')));
+    assert(lines.includes(`Seat ${folderID}: Player ${folderID} folded before Flop`)
+        || lines.includes(`Seat ${folderID}: Player ${folderID} (button) folded before Flop`));
+
+    // when everyone folds to a raise, the part nobody called goes back before the rest is collected,
+    // and isn't counted in the pot
+    const raiserID = PG.playerObjectArray[PG.turn].ID;
+    playTurn(['raise', 35], PG);
+    playTurn(['fold'], PG);
+    playTurn(['fold'], PG);
+    const foldedLines = handHistoryToStr(PG.handHistories[1]).split('\n');
+    const returnIndex = foldedLines.indexOf(`Uncalled bet ($0.25) returned to Player ${raiserID}`);
+    assert(returnIndex !== -1);
+    assert(foldedLines[returnIndex + 1] === `Player ${raiserID} collected $0.25 from pot`);
+    assert(foldedLines.includes('Total pot $0.25 | Rake $0'));
+}
+
+handHistoryTest1();
+
+// Replay Test 1: hand histories, ours or from elsewhere, are read back and stepped through
+const replayTest1 = () => {
+    const PG = new PokerGame();
+    PG.seed = 'replay';
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    PG.playerObjectArray.push(new Player(1), new Player(2), new Player(3));
+    PG.playerObjectArray.forEach((player) => {
+        player.stack = 1000;
+    });
+    startGame(PG);
+    playTurn(['raise', 40], PG);
+    while (PG.handNumber === 1) {
+        playTurn([PG.previousBet === 0 ? 'check' : 'call'], PG);
+    }
+
+    // our own hand histories read back into the hands they were written from
+    const text = handHistoriesToStr(PG.handHistories);
+    const [hand] = parseHandHistories(text);
+    assert(handHistoryToStr(hand) === text);
+
+    // one step per action, with every hand face up and the chips back in the stacks at the end
+    const tables = replayHand(hand);
+    const lastTable = tables[tables.length - 1];
+    assert(tables[0].pot === 0 && tables[0].playerObjectArray.every((player) => player.cards.length === 0));
+    assert(tables.some((table) => table.message.startsWith('Player') && table.message.endsWith('raises $0.30 to $0.40')));
+    assert(tables.every((table) => table.replaying));
+    assert(lastTable.pot === 0);
+    assert(lastTable.playerObjectArray.reduce((total, player) => total + player.stack, 0) === 3000);
+    assert(lastTable.board.every((card) => card !== ''));
+
+    // hands from elsewhere go by their players' names
+    const [imported] = parseHandHistories([
+        'PokerStars Hand #208386395580:  Hold\'em No Limit ($0.01/$0.02) - 2020/01/20 17:35:04 CET [2020/01/20 11:35:04 ET]',
+        'Table \'Alemannia IV\' 6-max Seat #4 is the button',
+        'Seat 1: Villain1 ($2.17 in chips)',
+        'Seat 2: Hero ($2 in chips)',
+        'Seat 4: Mr. X: Y ($1.54 in chips)',
+        'Villain1: posts small blind $0.01',
+        'Hero: posts big blind $0.02',
+        '*** HOLE CARDS ***',
+        'Dealt to Hero [Qs Qd]',
+        'Mr. X: Y: raises $0.04 to $0.06',
+        'Villain1: folds',
+        'Hero: raises $0.14 to $0.20',
+        'Mr. X: Y: calls $0.14',
+        '*** FLOP *** [8c 2h 5d]',
+        'Hero: bets $0.25',
+        'Mr. X: Y: folds',
+        'Uncalled bet ($0.25) returned to Hero',
+        'Hero collected $0.41 from pot',
+        '*** SUMMARY ***',
+        'Total pot $0.41 | Rake $0',
+    ].join('\r\n'));
+    assert(imported.handNumber === 208386395580 && imported.seats[2].name === 'Mr. X: Y');
+    const importedTables = replayHand(imported);
+    const hero = importedTables[importedTables.length - 1].playerObjectArray[1];
+    assert(hero.name === 'Hero' && hero.stack === 221 && hero.cards.length === 2);
+    assert(importedTables[importedTables.length - 1].board.join() === '8,C,2,H,5,D,,');
+
+    // a hand cut off after its first line can't be read
+    assert.throws(
+        () => parseHandHistories('PokerStars Hand #1: Hold\'em No Limit ($0.01/$0.02 USD) - 2020/11/12 20:01:02 ET'),
+        /^Error: Hand #1 ends before its table line\.$/,
+    );
+}
+
+replayTest1();
+
+// Side Pot Test 1: a short all-in can only win what they matched from each player
+const sidePotTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+
+    const stacks = [100, 300, 1000, 1000];
+    for (let i = 0; i < stacks.length; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = stacks[i];
+    }
+
+    PG.playerObjectArray[2].raise(500, PG);
+    PG.playerObjectArray[0].call(PG);
+    PG.playerObjectArray[1].call(PG);
+    PG.playerObjectArray[3].fold();
+
+    const pots = calculatePots(PG);
+    assert(pots.length === 3);
+    assert(pots[0].amount === 300 && pots[0].eligible.join() === '0,1,2');
+    assert(pots[1].amount === 400 && pots[1].eligible.join() === '1,2');
+    assert(pots[2].amount === 200 && pots[2].eligible.join() === '2');
+
+    // player 1 has the best hand, player 2 the second best
+    PG.board = [[2, 'S'], [7, 'D'], [9, 'C'], [11, 'H'], [13, 'S']];
+    PG.playerObjectArray[0].cards = [[14, 'S'], [14, 'D']];
+    PG.playerObjectArray[1].cards = [[12, 'D'], [12, 'C']];
+    PG.playerObjectArray[2].cards = [[3, 'D'], [4, 'C']];
+
+    showdown(PG);
+    assert(PG.playerObjectArray[0].stack === 300);
+    assert(PG.playerObjectArray[1].stack === 400);
+    assert(PG.playerObjectArray[2].stack === 700);
+    assert(PG.pot === 0);
+}
+
+sidePotTest1();
+
+
+// Side Pot Test 2: only the part of a bet nobody matched goes back as uncalled, and a side pot
+// the other players folded to is won
+const sidePotTest2 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+
+    const stacks = [2000, 500, 1000];
+    for (let i = 0; i < stacks.length; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = stacks[i];
+    }
+
+    // player 3 folds to the reraise after putting in $8.10, so only $5 of player 1's $13.10 is uncalled
+    PG.playerObjectArray[0].raise(810, PG);
+    PG.playerObjectArray[1].call(PG);
+    PG.playerObjectArray[2].call(PG);
+    PG.playerObjectArray[0].raise(1310, PG);
+    PG.playerObjectArray[2].fold();
+
+    PG.board = [[2, 'S'], [7, 'D'], [9, 'C'], [11, 'H'], [13, 'S']];
+    PG.playerObjectArray[0].cards = [[3, 'D'], [4, 'C']];
+    PG.playerObjectArray[1].cards = [[14, 'S'], [14, 'D']];
+
+    const potResults = showdown(PG);
+    assert.strictEqual(potResultsToStr(PG, potResults), [
+        'Player 1 takes back $5 uncalled',
+        'Player 2 won $15 from the main pot with a Pair',
+        'Player 1 won $6.2 from the side pot 1',
+    ].join('\n'));
+    assert(PG.playerObjectArray[0].stack === 690 + 500 + 620);
+    assert(PG.playerObjectArray[1].stack === 1500);
+    assert(PG.pot === 0);
+}
+
+sidePotTest2();
+
+// Split Pot Test 1: tied hands divide the pot, and the odd chip goes to the first winner left of the button
+const splitPotTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.dealer = 1;
+
+    for (let i = 0; i < 4; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = 1000;
+    }
+
+    // player 4 folds after putting in a small blind, leaving 110 to split three ways
+    PG.playerObjectArray[3].raise(5, PG);
+    PG.playerObjectArray[0].raise(35, PG);
+    PG.playerObjectArray[1].call(PG);
+    PG.playerObjectArray[2].call(PG);
+    PG.playerObjectArray[3].fold();
+
+    // everyone left plays the straight on the board
+    PG.board = [[10, 'S'], [11, 'D'], [12, 'C'], [13, 'H'], [14, 'S']];
+    PG.playerObjectArray[0].cards = [[2, 'S'], [3, 'D']];
+    PG.playerObjectArray[1].cards = [[2, 'D'], [3, 'C']];
+    PG.playerObjectArray[2].cards = [[2, 'C'], [3, 'H']];
+
+    const potResults = showdown(PG);
+    assert(potResults[0].winners.length === 3);
+
+    // player 3 is the first winner left of the button and gets the odd chip
+    assert(PG.playerObjectArray[2].stack === 1005);
+    assert(PG.playerObjectArray[0].stack === 1000);
+    assert(PG.playerObjectArray[1].stack === 1000);
+}
+
+splitPotTest1();
+
+// All-In Run-Out Test 1: once only one player has chips behind, the board runs out without more betting
+const allInRunOutTest1 = () => {
+    const PG = new PokerGame();
+
+    const stacks = [300, 1000, 1000];
+    for (let i = 0; i < stacks.length; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = stacks[i];
+    }
+
+    PG.playerObjectArray[0].raise(300, PG);
+    assert(PG.playerObjectArray[0].allIn);
+    PG.playerObjectArray[1].call(PG);
+    assert(!checkAllInRunOut(PG));
+
+    PG.playerObjectArray[2].fold();
+    assert(checkAllInRunOut(PG));
+
+    // all-in players are skipped when looking for the next player to act
+    PG.turn = 0;
+    findNextPlayer(PG);
+    assert(PG.turn === 1);
+
+    buildDeck(PG);
+    while (PG.actionRoundState < 3) {
+        dealNextStreet(PG);
+        PG.actionRoundState++;
+    }
+    assert(!PG.board.includes(''));
+}
+
+allInRunOutTest1();
+
+// Run It Twice Test 1: the board runs the fewest times anyone asks for, every run is dealt from the same deck
+// and each run settles its share of the pot
+const runItTwiceTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 10;
+    PG.dealer = 2;
+
+    const stacks = [315, 315, 1000];
+    for (let i = 0; i < stacks.length; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = stacks[i];
+    }
+    buildDeck(PG);
+    dealCards(PG);
+
+    PG.playerObjectArray[0].raise(315, PG);
+    PG.playerObjectArray[1].call(PG);
+    PG.playerObjectArray[2].fold();
+    assert(checkAllInRunOut(PG));
+
+    // the first player in the hand after the dealer answers first, and the board runs twice
+    assert(offerRunItTwice(PG));
+    assert(PG.turn === 0 && PG.runCount === 3);
+    decideRunCount(PG, 2);
+    assert(PG.runItOffered && PG.turn === 1);
+    assert(PG.message === 'Player 2, how many times would you like to run the board?');
+    decideRunCount(PG, 3);
+    assert(!PG.runItOffered && PG.runCount === 2 && PG.boards.length === 2);
+    assert(PG.message === 'Running it twice');
+
+    while (PG.actionRoundState < 3) {
+        dealNextStreet(PG);
+        PG.actionRoundState++;
+    }
+    const boardCards = [...PG.boards[0], ...PG.boards[1]].map((card) => card.join(''));
+    assert(new Set(boardCards).size === 10);
+    assert(PG.deckArray.length === 52 - 6 - 10);
+
+    // 630 can't be split evenly in 10 cent units, so the odd chips go to the first run
+    const potResults = showdown(PG);
+    assert(potResults.length === 2);
+    assert(potResults[0].run === 0 && potResults[0].amount === 320);
+    assert(potResults[1].run === 1 && potResults[1].amount === 310);
+    assert(PG.playerObjectArray[0].stack + PG.playerObjectArray[1].stack === 630);
+    assert(PG.pot === 0);
+
+    // stud has no board to run twice
+    const studGame = new PokerGame();
+    studGame.gameType = 'stud';
+    studGame.deckArray = PG.deckArray;
+    assert(!offerRunItTwice(studGame) && studGame.runCount === 1);
+}
+
+runItTwiceTest1();
+
+// Short All-In Test 1: an all-in raise smaller than a full raise doesn't reopen the betting
+const shortAllInTest1 = () => {
+    const PG = new PokerGame();
+    PG.minRaise = 10;
+
+    const stacks = [1000, 150, 1000];
+    for (let i = 0; i < stacks.length; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = stacks[i];
+    }
+
+    // player 1 bets 100, player 2 raises all-in to 150 when a full raise would be 200
+    PG.playerObjectArray[0].raise(100, PG);
+    PG.playerObjectArray[1].raise(150, PG);
+    assert(PG.previousBet === 150 && PG.minRaise === 100);
+    assert(PG.playerObjectArray[0].hasActed);
+    assert(!PG.playerObjectArray[2].hasActed);
+
+    // a full re-raise reopens the betting for player 1
+    PG.playerObjectArray[2].raise(250, PG);
+    assert(!PG.playerObjectArray[0].hasActed);
+}
+
+shortAllInTest1();
+
+// Short Blind Test 1: a player who can't cover the big blind posts what they have and is all-in
+const shortBlindTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+
+    const stacks = [1000, 1000, 6];
+    for (let i = 0; i < stacks.length; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = stacks[i];
+    }
+
+    // player 2 posts the small blind and player 3 posts a short big blind
+    PG.smallBlindSeat = 1;
+    PG.bigBlindSeat = 2;
+    postBlinds(PG);
+    assert(PG.pot === 11);
+    assert(PG.playerObjectArray[2].allIn && PG.playerObjectArray[2].potCommitment === 6);
+
+    // the rest of the table still has to call the full big blind, starting with player 1
+    assert(PG.previousBet === 10 && PG.turn === 0);
+    assert(!checkAllInRunOut(PG));
+
+    // once the only player left with chips behind has matched the big blind, the board is run out
+    PG.playerObjectArray[0].fold();
+    PG.playerObjectArray[1].call(PG);
+    assert(checkAllInRunOut(PG));
+}
+
+shortBlindTest1();
+
+
+// Ante Test 1: antes go in the pot before the blinds without counting toward the bet, and a big blind ante
+// is paid by the big blind after their blind
+const anteTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    PG.ante = 2;
+
+    for (let i = 0; i < 3; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = 1000;
+    }
+    PG.smallBlindSeat = 1;
+    PG.bigBlindSeat = 2;
+    PG.handLog = { events: [] };
+    postBlinds(PG);
+    assert(PG.pot === 21 && PG.previousBet === 10);
+    assert.deepStrictEqual(PG.handLog.events.map((event) => event.kind), ['ante', 'ante', 'ante', 'small blind', 'big blind']);
+    assert(PG.playerObjectArray[0].stack === 998 && PG.playerObjectArray[0].potCommitment === 0);
+    assert(PG.playerObjectArray[2].potCommitment === 10 && PG.playerObjectArray[2].totalCommitment === 12);
+
+    // a big blind of 12 covers the blind first and only has 2 left for the ante
+    const bigBlindAnteGame = new PokerGame();
+    bigBlindAnteGame.smallBlind = 5;
+    bigBlindAnteGame.bigBlind = 10;
+    bigBlindAnteGame.ante = 2;
+    bigBlindAnteGame.bigBlindAnte = true;
+    const stacks = [1000, 1000, 12];
+    for (let i = 0; i < stacks.length; i++) {
+        bigBlindAnteGame.playerObjectArray.push(new Player(i + 1));
+        bigBlindAnteGame.playerObjectArray[i].stack = stacks[i];
+    }
+    bigBlindAnteGame.smallBlindSeat = 1;
+    bigBlindAnteGame.bigBlindSeat = 2;
+    postBlinds(bigBlindAnteGame);
+    assert(bigBlindAnteGame.pot === 17 && bigBlindAnteGame.playerObjectArray[0].stack === 1000);
+    assert(bigBlindAnteGame.playerObjectArray[2].allIn && bigBlindAnteGame.playerObjectArray[2].potCommitment === 10);
+}
+
+anteTest1();
+
+// Heads-Up Test 1: once the table is down to two players, the dealer posts the small blind,
+// acts first pre-flop and last after the flop
+const headsUpTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+
+    const stacks = [1000, 0, 1000];
+    for (let i = 0; i < stacks.length; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = stacks[i];
+    }
+
+    // player 2 busted, so the button moves past them from player 1 to player 3
+    PG.dealer = 0;
+    refreshDealerRound(PG);
+    assert(PG.dealer === 2);
+    assert(PG.playerObjectArray[2].actionState === 'SB' && PG.playerObjectArray[0].actionState === 'BB');
+    assert(PG.turn === 2);
+
+    PG.playerObjectArray[2].call(PG);
+    PG.playerObjectArray[0].check();
+    refreshActionRound(PG);
+    assert(PG.turn === 0);
+}
+
+headsUpTest1();
+
+
+// Straddle Test 1: the player after the big blind decides on the straddle before the cards are dealt,
+// and then gets the last option pre-flop
+const straddleTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    PG.straddleEnabled = true;
+
+    for (let i = 0; i < 4; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = 1000;
+    }
+
+    // player 2 gets the button, so player 1 is offered the straddle with nothing dealt yet
+    PG.dealer = 0;
+    refreshDealerRound(PG);
+    assert(PG.straddleOffered && PG.turn === 0 && PG.pot === 0);
+    assert(PG.playerObjectArray[0].cards[0].length === 0);
+
+    decideStraddle(PG, true);
+    assert(!PG.straddleOffered && PG.playerObjectArray[0].actionState === 'STR');
+    assert(PG.pot === 35 && PG.previousBet === 20 && PG.minRaise === 20);
+    assert(PG.turn === 1 && PG.playerObjectArray[0].cards[0].length !== 0);
+
+    // everyone calls the straddle, but the round isn't over until the straddler acts
+    for (let i = 0; i < 3; i++) {
+        handlePlayerAction(['call', ''], PG);
+        incrementTurn(PG);
+        findNextPlayer(PG);
+    }
+    assert(PG.turn === 0 && !checkActionRoundEndingCondition(PG));
+    handlePlayerAction(['check', ''], PG);
+    assert(checkActionRoundEndingCondition(PG) && PG.pot === 80);
+}
+
+straddleTest1();
+
+// Dead Button Test 1: when the small blind busts, the big blind still moves forward one seat, the
+// next round's small blind is dead, and the button is left on the empty seat
+const deadButtonTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+
+    const stacks = [1000, 0, 1000, 1000];
+    for (let i = 0; i < stacks.length; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = stacks[i];
+    }
+
+    // last round player 1 had the button, player 2 the small blind and player 3 the big blind
+    PG.dealer = 0;
+    PG.smallBlindSeat = 1;
+    PG.bigBlindSeat = 2;
+    refreshDealerRound(PG);
+    assert(PG.dealer === 1 && PG.smallBlindSeat === 2 && PG.bigBlindSeat === 3);
+    assert(PG.pot === 15 && PG.playerObjectArray[1].actionState === '');
+    assert(PG.turn === 0);
+
+    // the round after, everyone moves forward one seat again
+    refreshDealerRound(PG);
+    assert(PG.dealer === 2 && PG.smallBlindSeat === 3 && PG.bigBlindSeat === 0);
+}
+
+deadButtonTest1();
+
+// Pot-Limit Test 1: the biggest bet is the pot after calling, on top of the call
+const potLimitTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    PG.bettingStructure = 'pot-limit';
+
+    const stacks = [1000, 1000, 1000];
+    for (let i = 0; i < stacks.length; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = stacks[i];
+    }
+
+    // with blinds of 5 and 10 in, player 1 can call 10 and raise the resulting 25 for a total of 35
+    PG.smallBlindSeat = 1;
+    PG.bigBlindSeat = 2;
+    postBlinds(PG);
+    assert(PG.turn === 0 && calculateMaxBet(PG) === 35);
+
+    // after player 1 bets the pot, the small blind calls 30 to make the pot 80 and can raise to 115
+    PG.playerObjectArray[0].raise(35, PG);
+    PG.turn = 1;
+    assert(calculateMaxBet(PG) === 115);
+
+    // the pot never lets a player bet more than their stack
+    PG.playerObjectArray[1].stack = 100;
+    assert(calculateMaxBet(PG) === 105);
+
+    // in no-limit, the stack is the only cap
+    PG.bettingStructure = 'no-limit';
+    assert(calculateMaxBet(PG) === 105);
+}
+
+potLimitTest1();
+
+// Fixed-Limit Test 1: bets and raises are one bet unit each, up to the raise cap
+const fixedLimitTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    PG.bettingStructure = 'fixed-limit';
+    PG.raiseCap = 3;
+
+    const stacks = [1000, 1000, 1000];
+    for (let i = 0; i < stacks.length; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = stacks[i];
+    }
+
+    buildDeck(PG);
+    dealCards(PG);
+    PG.smallBlindSeat = 1;
+    PG.bigBlindSeat = 2;
+    postBlinds(PG);
+    assert(calculateMaxBet(PG) === 20);
+
+    // a raise is cut down to one small bet, and the big blind plus three raises caps the betting
+    PG.playerObjectArray[0].raise(500, PG);
+    assert(PG.previousBet === 20 && PG.playerObjectArray[0].stack === 980);
+    PG.playerObjectArray[1].raise(30, PG);
+    assert(!checkRaiseCapReached(PG));
+    PG.playerObjectArray[2].raise(40, PG);
+    assert(checkRaiseCapReached(PG));
+
+    // from the turn on, bets are one big bet
+    PG.actionRoundState = 1;
+    refreshActionRound(PG);
+    assert(PG.minRaise === 20 && !checkRaiseCapReached(PG));
+}
+
+fixedLimitTest1();
+
+// Omaha Test 1: four hole cards are dealt, and hands must use exactly two of them
+const omahaTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.gameType = 'omaha';
+
+    for (let i = 0; i < 2; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = 1000;
+    }
+
+    buildDeck(PG);
+    dealCards(PG);
+    assert(PG.playerObjectArray[0].cards.length === 4);
+    assert(PG.deckArray.length === 44);
+
+    // player 1's single heart can't make a flush with the four on the board, while player 2's pair of twos plays
+    PG.playerObjectArray[0].raise(100, PG);
+    PG.playerObjectArray[1].call(PG);
+    PG.board = [[14, 'H'], [13, 'H'], [7, 'H'], [4, 'H'], [3, 'D']];
+    PG.playerObjectArray[0].cards = [[12, 'H'], [9, 'S'], [10, 'S'], [8, 'C']];
+    PG.playerObjectArray[1].cards = [[2, 'D'], [2, 'S'], [9, 'C'], [10, 'C']];
+
+    showdown(PG);
+    assert(PG.playerObjectArray[1].stack === 1100);
+}
+
+omahaTest1();
+
+// Short-Deck Test 1: the deck starts at 6, A-6-7-8-9 is a straight, and a flush beats a full house
+const shortDeckTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.gameType = 'short-deck';
+
+    buildDeck(PG);
+    assert(PG.deckArray.length === 36);
+
+    const deck = getDeck(PG);
+    const wheel = returnHandRank([[14, 'S'], [9, 'D'], [8, 'C'], [7, 'H'], [6, 'S']], deck);
+    assert(rankToHandStr(wheel[0], deck) === 'Straight' && wheel[1] === 9);
+
+    for (let i = 0; i < 2; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = 1000;
+    }
+    PG.playerObjectArray[0].raise(100, PG);
+    PG.playerObjectArray[1].call(PG);
+    PG.board = [[14, 'H'], [13, 'H'], [10, 'H'], [13, 'S'], [6, 'D']];
+    PG.playerObjectArray[0].cards = [[7, 'H'], [8, 'H']];
+    PG.playerObjectArray[1].cards = [[13, 'D'], [14, 'S']];
+
+    // with a standard deck player 2's full house would win
+    const potResults = showdown(PG);
+    assert(PG.playerObjectArray[0].stack === 1100);
+    assert(rankToHandStr(potResults[0].handRank[0], deck) === 'Flush');
+}
+
+shortDeckTest1();
+
+// Evaluator Test 1: the hand evaluator finds the same best hand out of five to seven cards as
+// ranking every five-card combination does, with either deck
+const evaluatorTest1 = () => {
+    const random = seededRandom('evaluator');
+    const combinations = (cards) => {
+        if (cards.length === 5) {
+            return [cards];
+        }
+        let fiveCardHands = [];
+        for (let i = 0; i < cards.length; i++) {
+            fiveCardHands = fiveCardHands.concat(combinations(cards.filter((card, j) => j !== i)));
+        }
+        return fiveCardHands;
+    };
+    const byRank = (rank1, rank2) => {
+        const i = rank1.findIndex((num, j) => num !== rank2[j]);
+        return i === -1 ? 0 : rank2[i] - rank1[i];
+    };
+
+    ['holdem', 'short-deck'].forEach((gameType) => {
+        const PG = new PokerGame();
+        PG.gameType = gameType;
+        buildDeck(PG);
+        const deck = getDeck(PG);
+        for (let i = 0; i < 300; i++) {
+            const cards = shuffle(PG.deckArray, random).slice(0, 5 + (i % 3));
+            const bestRank = combinations(cards)
+                .map((hand) => returnHandRank(hand.map((card) => card.slice()), deck))
+                .sort(byRank)[0];
+            assert.deepStrictEqual(strengthToRank(evaluateHand(cards, deck)), bestRank);
+        }
+    });
+
+    // bigger strengths are better hands: a flush over a straight, and a better kicker over a worse one
+    const deck = getDeck(new PokerGame());
+    const board = [[14, 'H'], [9, 'H'], [8, 'C'], [7, 'H'], [2, 'D']];
+    const flush = evaluateHand([...board, [3, 'H'], [4, 'H']], deck);
+    const straight = evaluateHand([...board, [10, 'S'], [6, 'S']], deck);
+    const acesWithKing = evaluateHand([...board, [14, 'S'], [13, 'D']], deck);
+    const acesWithQueen = evaluateHand([...board, [14, 'C'], [12, 'D']], deck);
+    assert(flush > straight && straight > acesWithKing && acesWithKing > acesWithQueen);
+    assert(evaluateHand([...board, [14, 'S'], [13, 'D']], deck) === acesWithKing);
+}
+
+evaluatorTest1();
+
+
+const equityTest1 = () => {
+    assert.deepStrictEqual(parseCards('Ah 10c,Ks'), [[14, 'H'], [10, 'C'], [13, 'S']]);
+    assert.throws(() => parseCards('AhKx'));
+
+    // on the turn, 9 of the 44 cards left are hearts, but the 3h and Qh fill up the queens
+    let equity = calculateEquity({
+        hands: [parseCards('AhKh'), parseCards('QsQd')],
+        board: parseCards('2h 7h Qc 3s'),
+    });
+    assert(equity.exact && equity.boards === 44);
+    assert.strictEqual(equity.players[0].win, (100 * 7) / 44);
+    assert.strictEqual(equity.players[1].equity, (100 * 37) / 44);
+
+    // the same aces split every board, and a dead card can't come
+    equity = calculateEquity({
+        hands: [parseCards('AsKd'), parseCards('AcKh')],
+        board: parseCards('2c 7d 9h'),
+        dead: parseCards('3s'),
+    });
+    assert.strictEqual(equity.boards, 946);
+    assert(equity.players.every((player) => player.tie > 90 && player.equity > 49 && player.equity < 51));
+
+    // preflop is too many boards to go through, so random ones are dealt, the same ones for the same seed
+    const options = { hands: [parseCards('AsAd'), parseCards('KhKc')], iterations: 20000, seed: 'equity' };
+    equity = calculateEquity(options);
+    assert(!equity.exact && equity.boards === 20000);
+    assert(equity.players[0].equity > 80 && equity.players[0].equity < 84);
+    assert.deepStrictEqual(calculateEquity(options), equity);
+
+    // an Omaha hand has to play two of its hole cards, so four spades on board aren't a flush for AhAd
+    equity = calculateEquity({
+        hands: [parseCards('AhAd2c3c'), parseCards('Ks4s8d9d')],
+        board: parseCards('5s6s7sJs 2d'),
+        gameType: 'omaha',
+    });
+    assert.strictEqual(equity.players[1].win, 100);
+
+    // capping the work deals random boards instead of every board, and only as many as fit in the cap
+    equity = calculateEquity({
+        hands: [parseCards('AhAd2c3c'), parseCards('Ks4s8d9d'), parseCards('QhJhTc9c')],
+        board: parseCards('5s6s7s'),
+        gameType: 'omaha',
+        seed: 'equity',
+        maxEvaluations: 18000,
+    });
+    assert(!equity.exact && equity.boards === 100);
+
+    assert.throws(() => calculateEquity({ hands: [parseCards('AhKh'), parseCards('AhQd')] }), /AH is known more than once/);
+    assert.throws(() => calculateEquity({ hands: [parseCards('AhKh')] }));
+    assert.throws(() => calculateEquity({ hands: [parseCards('AhKh'), parseCards('2c3c')], gameType: 'omaha' }));
+}
+
+equityTest1();
+
+
+const studTest1 = () => {
+    const PG = new PokerGame();
+    PG.gameType = 'stud';
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    PG.ante = 2;
+
+    for (let i = 0; i < 3; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = 1000;
+    }
+    PG.playerObjectArray[0].cards = [[2, 'S'], [3, 'S']];
+    PG.playerObjectArray[1].cards = [[2, 'H'], [3, 'H']];
+    PG.playerObjectArray[2].cards = [[2, 'D'], [3, 'D']];
+    PG.playerObjectArray[0].upCards = [[5, 'S']];
+    PG.playerObjectArray[1].upCards = [[5, 'C']];
+    PG.playerObjectArray[2].upCards = [[13, 'H']];
+
+    // clubs are the lowest suit, so player 2 brings it in and player 3 acts first
+    postAntesAndBringIn(PG);
+    assert(PG.playerObjectArray[1].actionState === 'BI' && PG.turn === 2);
+    assert(PG.pot === 11 && PG.playerObjectArray[0].potCommitment === 0);
+
+    // completing the bring-in is the first bet, and raises after it are a full bet
+    handlePlayerAction(['raise', 10], PG);
+    assert(PG.minRaise === 10 && PG.raiseCount === 1);
+    for (let i = 0; i < 2; i++) {
+        incrementTurn(PG);
+        findNextPlayer(PG);
+        handlePlayerAction(['call', ''], PG);
+    }
+    incrementTurn(PG);
+    assert(checkActionRoundEndingCondition(PG) && PG.pot === 36);
+
+    // the pair of fives showing opens fourth street
+    PG.playerObjectArray[0].upCards.push([14, 'D']);
+    PG.playerObjectArray[1].upCards.push([5, 'H']);
+    PG.playerObjectArray[2].upCards.push([12, 'D']);
+    assert(rankUpCards(PG.playerObjectArray[1].upCards).join() === '1,5');
+    refreshActionRound(PG);
+    assert(PG.turn === 1);
+
+    // eight players run the deck out, so seventh street is a single community card
+    const fullTable = new PokerGame();
+    fullTable.gameType = 'stud';
+    for (let i = 0; i < 8; i++) {
+        fullTable.playerObjectArray.push(new Player(i + 1));
+    }
+    buildDeck(fullTable);
+    for (let street = 0; street <= 4; street++) {
+        dealStudStreet(fullTable, street);
+    }
+    assert(fullTable.board[0] !== '' && fullTable.deckArray.length === 3);
+    assert(fullTable.playerObjectArray.every((player) => player.cards.length === 2 && player.upCards.length === 4));
+}
+
+studTest1();
+
+// Game Flow Test 1: the engine validates every action and moves the game from one action round and
+// dealer round to the next, the same way for the command line and the React app
+const gameFlowTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+
+    for (let i = 0; i < 3; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = 1000;
+    }
+    startGame(PG);
+    assert(PG.gameUnderway && PG.pot === 15 && PG.turn === PG.dealer);
+    assert(PG.message.includes(`Player ${PG.dealer + 1} is the dealer`));
+
+    // nothing to check pre-flop until the big blind has the option, and raises need to be big enough
+    assert(validatePlayerAction(PG, ['check', '']).error === 'You cannot check here.');
+    assert(!validatePlayerAction(PG, ['raise', 15]).valid);
+    assert(validatePlayerAction(PG, ['raise', 20]).valid);
+
+    playTurn(['call', ''], PG);
+    playTurn(['call', ''], PG);
+    assert(validatePlayerAction(PG, ['check', '']).valid && PG.playerObjectArray[PG.turn].actionState === 'BB');
+    playTurn(['check', ''], PG);
+    assert(PG.actionRoundState === 1 && PG.board.filter((card) => card !== '').length === 3);
+
+    // everyone checks down to the showdown, which starts the next dealer round
+    const firstDealer = PG.dealer;
+    for (let i = 0; i < 9; i++) {
+        playTurn(['check', ''], PG);
+    }
+    assert(PG.dealer !== firstDealer && PG.actionRoundState === 0);
+    assert(PG.playerObjectArray.reduce((total, player) => total + player.stack, 0) + PG.pot === 3000);
+
+    // an all-in that's called is run out step by step once the players agree on how many times
+    playTurn(['raise', PG.playerObjectArray[PG.turn].stack + PG.playerObjectArray[PG.turn].potCommitment], PG);
+    playTurn(['call', ''], PG);
+    playTurn(['fold', ''], PG);
+    assert(PG.runItOffered);
+    while (PG.runItOffered) {
+        playTurn(['runs', 1], PG);
+    }
+    assert(PG.allInRunOut && PG.boards.length === 0);
+    while (PG.allInRunOut) {
+        runOutStep(PG);
+    }
+    assert(PG.playerObjectArray.reduce((total, player) => total + player.stack, 0) + PG.pot === 3000);
+}
+
+gameFlowTest1();
+
+// Legal Actions Test 1: the engine lists what the player whose turn it is can do, and for how much
+const legalActionsTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    for (let i = 0; i < 3; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = 1000;
+    }
+    startGame(PG);
+    assert.deepStrictEqual(getLegalActions(PG), [
+        { type: 'fold' },
+        { type: 'call', amount: 10 },
+        { type: 'raise', minRaiseTo: 20, maxRaiseTo: 1000 },
+    ]);
+
+    // the big blind has nothing to call, only the option to check
+    playTurn(['call', ''], PG);
+    playTurn(['call', ''], PG);
+    assert.deepStrictEqual(getLegalActions(PG).map((legalAction) => legalAction.type), ['fold', 'check', 'raise']);
+    assert(validatePlayerAction(PG, ['call', '']).error === 'You cannot call here.');
+
+    // a stack that can't cover the bet can only call all-in
+    playTurn(['raise', 500], PG);
+    PG.playerObjectArray[PG.turn].stack = 300;
+    assert.deepStrictEqual(getLegalActions(PG), [{ type: 'fold' }, { type: 'call', amount: 300 }]);
+    assert(validatePlayerAction(PG, ['raise', 310]).error === 'You can only call or fold here.');
+
+    // in fixed-limit there's one bet size, and nobody acts during a run-out
+    PG.playerObjectArray[PG.turn].stack = 990;
+    PG.bettingStructure = 'fixed-limit';
+    const fixedRaise = getLegalActions(PG)[2];
+    assert(fixedRaise.minRaiseTo === PG.previousBet + PG.minRaise && fixedRaise.maxRaiseTo === fixedRaise.minRaiseTo);
+    PG.allInRunOut = true;
+    assert.deepStrictEqual(getLegalActions(PG), []);
+}
+
+legalActionsTest1();
+
+
+// Legal Actions Test 2: after a short all-in leaves the bet off the small blind units, the smallest raise
+// offered is rounded up to the next one, and the engine takes it
+const legalActionsTest2 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 25;
+    PG.bigBlind = 50;
+    for (let i = 0; i < 3; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = 1000;
+    }
+    startGame(PG);
+
+    PG.playerObjectArray[PG.turn].stack = 60;
+    playTurn(['raise', 60], PG);
+    const raise = getLegalActions(PG).find((legalAction) => legalAction.type === 'raise');
+    assert(raise.minRaiseTo === 125);
+    assert(validatePlayerAction(PG, ['raise', 110]).error === 'You can\'t raise that amount.');
+    assert(validatePlayerAction(PG, ['raise', raise.minRaiseTo]).valid);
+}
+
+legalActionsTest2();
+
+
+// Legal Actions Test 3: once everyone else left in the hand is all-in, there's nobody to raise against,
+// so the player can only call or fold
+const legalActionsTest3 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    for (let i = 0; i < 3; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = 1000;
+    }
+    startGame(PG);
+
+    PG.playerObjectArray[PG.turn].stack = 500;
+    playTurn(['raise', 500], PG);
+    playTurn(['fold', ''], PG);
+    assert.deepStrictEqual(getLegalActions(PG), [{ type: 'fold' }, { type: 'call', amount: 490 }]);
+    assert(validatePlayerAction(PG, ['raise', 1000]).error === 'Everyone else in the hand is all-in, so you can\'t raise here.');
+}
+
+legalActionsTest3();
+
+// Betting Round Test 1: an action round closes once everyone who can act has acted since the last
+// full raise and owes nothing. Blinds don't count as acting, which gives the big blind the option
+const bettingRoundTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    PG.playerObjectArray.push(new Player(1), new Player(2), new Player(3));
+    PG.playerObjectArray.forEach((player) => {
+        player.stack = 1000;
+    });
+    startGame(PG);
+    const bigBlind = PG.playerObjectArray[PG.bigBlindSeat];
+    playTurn(['call', ''], PG);
+    playTurn(['call', ''], PG);
+    assert(PG.playerObjectArray[PG.turn] === bigBlind && !bigBlind.hasActed);
+    assert(calculateAmountOwed(PG, bigBlind) === 0 && !checkActionRoundEndingCondition(PG));
+
+    // the big blind's raise has to be called by everyone again
+    playTurn(['raise', 40], PG);
+    assert(PG.playerObjectArray.filter((player) => !player.hasActed).length === 2);
+    playTurn(['call', ''], PG);
+    assert(PG.actionRoundState === 0 && calculateAmountOwed(PG, PG.playerObjectArray[PG.turn]) === 30);
+    playTurn(['call', ''], PG);
+    assert(PG.actionRoundState === 1 && PG.pot === 120);
+    assert(PG.playerObjectArray.every((player) => !player.hasActed && player.actionState === ''));
+}
+
+bettingRoundTest1();
+
+// Reducer Test 1: applyAction returns the next state and what happened as plain objects,
+// and never changes the state it was given
+const reducerTest1 = () => {
+    const PG = new PokerGame();
+    PG.smallBlind = 5;
+    PG.bigBlind = 10;
+    for (let i = 0; i < 3; i++) {
+        PG.playerObjectArray.push(new Player(i + 1));
+        PG.playerObjectArray[i].stack = 1000;
+    }
+    const initialState = toPlainState(PG);
+    const snapshot = JSON.stringify(initialState);
+
+    const started = applyAction(initialState, ['start']);
+    assert(JSON.stringify(initialState) === snapshot);
+    assert(started.state.gameUnderway && started.state.pot === 15);
+    assert(started.events.some((event) => event.type === 'message' && event.text.includes('is the dealer')));
+    assert.deepStrictEqual(toPlainState(started.state), started.state);
+
+    // an action that can't be taken leaves the state as it is
+    const checked = applyAction(started.state, ['check', '']);
+    assert(checked.state === started.state);
+    assert.deepStrictEqual(checked.events, [{ type: 'error', text: 'You cannot check here.' }]);
+    assert(applyAction(started.state, ['runOut']).events[0].type === 'error');
+
+    const startedSnapshot = JSON.stringify(started.state);
+    const called = applyAction(started.state, ['call', '']);
+    assert(JSON.stringify(started.state) === startedSnapshot);
+    assert.deepStrictEqual(called.events[0], {
+        type: 'action',
+        playerID: started.state.playerObjectArray[started.state.turn].ID,
+        action: ['call', ''],
+    });
+    assert(called.state.pot === 25 && called.state.turn !== started.state.turn);
+
+    // the same action on the same state gives the same result
+    assert.deepStrictEqual(applyAction(started.state, ['call', '']), called);
+}
+
+reducerTest1();
+
 // Testing hand functions ♠ ♣ ♦ ♥
 
-let hand = [[9, '♠'], [8, '♠'], [12, '♠'], [11, '♠'], [10, '♠']];
+let hand = [[9, 'S'], [8, 'S'], [12, 'S'], [11, 'S'], [10, 'S']];
 // console.log(returnRankArray(hand));
 
-hand = [[14, '♠'], [5, '♠'], [4, '♠'], [3, '♠'], [2, '♠']];
+hand = [[14, 'S'], [5, 'S'], [4, 'S'], [3, 'S'], [2, 'S']];
 // console.log(returnRankArray(hand));
 
-hand = [[13, '♠'], [13, '♥'], [13, '♦'], [13, '♣'], [8, '♠']];
+hand = [[13, 'S'], [13, 'H'], [13, 'D'], [13, 'C'], [8, 'S']];
 // console.log(returnRankArray(hand));
 
-hand = [[12, '♠'], [12, '♥'], [8, '♦'], [8, '♣'], [8, '♠']];
+hand = [[12, 'S'], [12, 'H'], [8, 'D'], [8, 'C'], [8, 'S']];
 // console.log(returnRankArray(hand)); 
 
-hand = [[9, '♠'], [4, '♠'], [3, '♠'], [14, '♠'], [8, '♠']];
+hand = [[9, 'S'], [4, 'S'], [3, 'S'], [14, 'S'], [8, 'S']];
 // console.log(returnRankArray(hand)); 
 
-hand = [[5, '♣'], [3, '♦'], [14, '♥'], [4, '♠'], [2, '♠']];
+hand = [[5, 'C'], [3, 'D'], [14, 'H'], [4, 'S'], [2, 'S']];
 // console.log(returnRankArray(hand)); 
 
-hand = [[12, '♠'], [11, '♥'], [11, '♦'], [11, '♣'], [8, '♠']];
+hand = [[12, 'S'], [11, 'H'], [11, 'D'], [11, 'C'], [8, 'S']];
 // console.log(returnRankArray(hand)); 
 
-hand = [[4, '♠'], [3, '♥'], [10, '♦'], [4, '♣'], [3, '♠']];
+hand = [[4, 'S'], [3, 'H'], [10, 'D'], [4, 'C'], [3, 'S']];
 // console.log(returnRankArray(hand)); 
 
-hand = [[8, '♠'], [8, '♥'], [14, '♦'], [6, '♣'], [3, '♠']];
+hand = [[8, 'S'], [8, 'H'], [14, 'D'], [6, 'C'], [3, 'S']];
 // console.log(returnRankArray(hand));
 
-hand = [[4, '♠'], [8, '♥'], [14, '♦'], [6, '♣'], [3, '♠']];
+hand = [[4, 'S'], [8, 'H'], [14, 'D'], [6, 'C'], [3, 'S']];
 // console.log(returnRankArray(hand)); */
 
 
@@ -0,0 +1,59 @@
+/* VERIFY A DEAL----------------------------------------------------------------------------------------------
+Every hand is dealt from a deck that follows from a secret server seed and the seeds the players contributed.
+When the hand is dealt, a commitment to the server seed and the shuffled deck is published, and once it's over,
+the server seed is revealed. This checks the revealed hands by shuffling the deck again, and when their
+hand histories are there too, that the cards dealt came off the top of it:
+
+    node nodeGame/verify.js <revealed hands>
+
+where <revealed hands> is a JSON file or string with a revealed hand, a list of them, or a whole saved game
+with its revealedHands and handHistories, as returned by GET /api/gamestate/:gameId.                        */
+
+const fs = require('fs');
+const { verifyHand } = require('../engine/gameFunctions');
+const { listDealtCards } = require('../engine/handHistory');
+
+
+const readGame = (input) => {
+    let json = fs.existsSync(input) ? fs.readFileSync(input, 'utf8') : input;
+    let parsed = JSON.parse(json);
+    if (parsed.revealedHands) {
+        return { revealedHands: parsed.revealedHands, handHistories: parsed.handHistories || [] };
+    }
+    return { revealedHands: Array.isArray(parsed) ? parsed : [parsed], handHistories: [] };
+};
+
+
+// the cards dealt in the hand, if its history is there to say
+const findDealtCards = (handHistories, handNumber) => {
+    let handHistory = handHistories.find((hand) => hand.handNumber === handNumber);
+    return handHistory ? listDealtCards(handHistory) : null;
+};
+
+
+if (process.argv[2] === undefined) {
+    console.log('Usage: node nodeGame/verify.js <revealed hands as a JSON file or string>');
+    process.exit(1);
+}
+
+let revealedHands;
+let handHistories;
+try {
+    ({ revealedHands, handHistories } = readGame(process.argv[2]));
+} catch (err) {
+    console.log('Could not read the revealed hands: ' + err.message);
+    process.exit(1);
+}
+
+let allValid = true;
+for (let i = 0; i < revealedHands.length; i++) {
+    let result = verifyHand(revealedHands[i], findDealtCards(handHistories, revealedHands[i].handNumber));
+    if (result.valid) {
+        console.log('Hand ' + revealedHands[i].handNumber + ' was dealt fairly, from the top of: ' + result.deck);
+    } else {
+        console.log('Hand ' + revealedHands[i].handNumber + ' does NOT check out: ' + result.error);
+        allValid = false;
+    }
+}
+
+process.exit(allValid ? 0 : 1);
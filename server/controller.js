@@ -1,17 +1,93 @@
 const GameState = require('../database/GameState');
+const { handHistoriesToStr } = require('../engine/handHistory');
+const { parseCards, calculateEquity } = require('../engine/equity');
+const { applyAction } = require('../engine/reducer');
+
+// what the deck of the hand being played follows from, and the deck itself. Anyone who knew them
+// could see the cards to come, or pick a seed of their own that shuffles them a deck they like,
+// so they stay on the server. A hand's server seed is only sent out once the hand is over, in
+// revealedHands. The game seed makes every server seed, so clients can't set it either
+const SECRET_FIELDS = {
+  serverSeed: '',
+  nextServerSeed: null,
+  deckArray: [],
+  seed: null,
+};
+
+// a copy of the game state without its secrets, to send to a client
+const withoutSecrets = (state) => {
+  const publicState = { ...state };
+  Object.keys(SECRET_FIELDS).forEach((field) => {
+    delete publicState[field];
+  });
+  return publicState;
+};
+
+// the most five-card hands one equity request may evaluate, about a second's work. Equity is
+// worked out on the request thread, so more would hold up every other request
+const MAX_EQUITY_EVALUATIONS = 2000000;
 
 const getState = (req, res) => {
   GameState.findById(req.params.gameId, (err, result) => {
     if (err) {
       res.status(500).send(500);
     } else {
-      res.status(200).send(result);
+      res.status(200).send(result && withoutSecrets(result.toObject()));
     }
   });
 };
 
-// at "start game" in front-end, will make a post request here.
-// if id doesn't exist, this function will create a new game state
+// every hand of the game that's over, as a hand history text file for hand trackers
+const getHistory = (req, res) => {
+  GameState.findById(req.params.gameId, (err, result) => {
+    if (err) {
+      res.status(500).send(500);
+    } else if (!result) {
+      res.status(404).send('No game with that ID');
+    } else {
+      res.status(200)
+        .type('text/plain')
+        .attachment(`PokerBirds game ${req.params.gameId}.txt`)
+        .send(handHistoriesToStr(result.handHistories || []));
+    }
+  });
+};
+
+// the equity of hands like ?hands=AhKh,QsQd&board=2c7dQh, with optional dead cards, game
+// (holdem, short-deck or omaha), iterations and seed. Hands can also be given one per hands=.
+// Requests for more work than the cap get fewer random boards, which the boards returned say
+const getEquity = (req, res) => {
+  const {
+    hands = [], board = '', dead = '', game, iterations, seed,
+  } = req.query;
+  let equity;
+  try {
+    equity = calculateEquity({
+      hands: [].concat(hands).join(',').split(',').filter((hand) => hand.trim())
+        .map(parseCards),
+      board: parseCards(board),
+      dead: parseCards(dead),
+      gameType: game,
+      iterations: iterations === undefined ? undefined : Number(iterations),
+      seed,
+      maxEvaluations: MAX_EQUITY_EVALUATIONS,
+    });
+  } catch (err) {
+    res.status(400).send(err.message);
+    return;
+  }
+  res.status(200).send(equity);
+};
+
+// "end game" in the front-end posts a game with nobody at the table
+const isEndGameReset = (state) => !state.gameUnderway
+  && Array.isArray(state.playerObjectArray) && state.playerObjectArray.length === 0;
+
+// at "start game" in front-end, will make a post request here with the game as it was set up.
+// if id doesn't exist, this function will create a new game state.
+// A game underway only changes through its actions (see takeAction), so that nobody can
+// rewrite the cards, the chips or whose turn it is, and all that can be posted over it is
+// the end-game reset. Clients can't set the secrets either: a game that isn't underway has none
 const updateState = (req, res) => {
   const options = {
     new: true,
@@ -21,13 +97,60 @@ const updateState = (req, res) => {
     if (err) {
       res.status(500).send(500);
     } else {
-      res.status(201).send(result);
+      res.status(201).send(withoutSecrets(result.toObject()));
     }
   };
-  GameState.findByIdAndUpdate(req.params.gameId, req.body, options, callback);
+  if (req.body.gameUnderway) {
+    res.status(400).send('A game can only be started with the start action');
+    return;
+  }
+  const newState = { ...req.body, ...SECRET_FIELDS };
+  GameState.findById(req.params.gameId, (err, savedState) => {
+    if (err) {
+      res.status(500).send(500);
+    } else if (savedState && savedState.gameUnderway && !isEndGameReset(newState)) {
+      res.status(400).send('A game underway can only be changed with its actions');
+    } else {
+      GameState.findByIdAndUpdate(req.params.gameId, newState, options, callback);
+    }
+  });
+};
+
+// every action is taken here, where the deck is, with the same engine the clients and the command
+// line game use. Takes { action } like ['raise', 500] (see applyAction in engine/reducer.js)
+// and returns { state, events } with the state after it, without its secrets
+const takeAction = (req, res) => {
+  const { action } = req.body;
+  if (!Array.isArray(action)) {
+    res.status(400).send('An action is an array like ["call"]');
+    return;
+  }
+  GameState.findById(req.params.gameId, (err, savedState) => {
+    if (err) {
+      res.status(500).send(500);
+    } else if (!savedState) {
+      res.status(404).send('No game with that ID');
+    } else {
+      const { state, events } = applyAction(savedState.toObject({ versionKey: false }), action);
+      if (events.length > 0 && events[0].type === 'error') {
+        res.status(400).send(events[0].text);
+        return;
+      }
+      GameState.findByIdAndUpdate(req.params.gameId, state, (updateErr) => {
+        if (updateErr) {
+          res.status(500).send(500);
+        } else {
+          res.status(201).send({ state: withoutSecrets(state), events });
+        }
+      });
+    }
+  });
 };
 
 module.exports = {
   getState,
+  getHistory,
+  getEquity,
   updateState,
+  takeAction,
 };
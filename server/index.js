@@ -17,8 +17,14 @@ app.use('/:gameId', express.static(path.join(__dirname, '..', 'public')));
 
 app.get('/api/gamestate/:gameId', controller.getState);
 
+app.get('/api/gamestate/:gameId/history', controller.getHistory);
+
 app.post('/api/gamestate/:gameId', controller.updateState);
 
+app.post('/api/gamestate/:gameId/action', controller.takeAction);
+
+app.get('/api/equity', controller.getEquity);
+
 app.listen(PORT, () => {
   console.log(`Express server listening on port ${PORT}...`);
 });
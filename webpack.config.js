@@ -26,5 +26,7 @@ module.exports = {
   mode: 'development',
   resolve: {
     extensions: ['.js', '.jsx'],
+    // the engine only falls back to Node's crypto module where there's no Web Crypto
+    fallback: { crypto: false },
   },
 };